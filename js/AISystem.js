@@ -1,12 +1,20 @@
-import { ARMOR_TYPES, hexKey } from './const.js';
+import { ARMOR_TYPES, DEFEND_STANCE, WEAPONS, ABILITIES, SPELLS, getAttackRange, hexKey, canAffordStamina, isExhausted, isInstantSwap } from './const.js';
 
 export class AISystem {
-    constructor(hexGrid, getCharacterAtHex, pathfinding, logger) {
+    constructor(hexGrid, getCharacterAtHex, pathfinding, logger, combatSystem) {
         this.hexGrid = hexGrid;
         this.getCharacterAtHex = getCharacterAtHex;
         this.pathfinding = pathfinding;
         this.logger = logger;
+        this.combatSystem = combatSystem;
         this._distanceMatrix = new Map();
+
+        // Dependencies (set via deferred assignment)
+        this.random = null; // Shared combat RNG - any randomized AI choice must use this to stay replayable
+        this.moraleManager = null;
+        this.presenceManager = null;
+        this.abilityManager = null;
+        this.spellManager = null;
     }
 
     /**
@@ -60,6 +68,29 @@ export class AISystem {
     getAIAction(character, allCharacters) {
         const livingChars = allCharacters.filter(c => !c.isDefeated && c !== character);
 
+        // Surrendered characters stay out of the fight for good
+        if (character.hasSurrendered) {
+            this.logger.debug(`[AI] ${character.name} (surrendered) - waiting`);
+            return { action: 'wait', target: null };
+        }
+
+        // Locked in a grapple: the only fight left is with the other side of the hold
+        const grappleFoe = character.grappledBy || character.grappling;
+        if (grappleFoe && !this.combatSystem.isInAttackRange(character, grappleFoe.hexQ, grappleFoe.hexR)) {
+            this.logger.debug(`[AI] ${character.name} (grappled) - can't strike ${grappleFoe.name} at this range, waiting`);
+            return { action: 'wait', target: null };
+        }
+        if (grappleFoe) {
+            this.currentAttacker = character;
+            const attackType = this.selectAttackType(grappleFoe);
+            this.logger.debug(`[AI] ${character.name} (grappled) - attacking ${grappleFoe.name} (${attackType})`);
+            return {
+                action: 'attack',
+                target: { q: grappleFoe.hexQ, r: grappleFoe.hexR },
+                attackType: attackType
+            };
+        }
+
         // Get enemies shared across faction
         const enemies = this.getEffectiveEnemies(character, allCharacters);
         const enemyNames = enemies.length > 0 ? enemies.map(e => e.name).join(',') : 'none';
@@ -74,8 +105,44 @@ export class AISystem {
         character.mode = enemies.length > 0 ? 'aggressive' : 'neutral';
 
         if (character.mode === 'aggressive') {
+            // Morale check: shaken characters run, broken (or cornered) ones surrender
+            const moraleAction = this.getMoraleAction(character, enemies, enemyNames);
+            if (moraleAction) return moraleAction;
+
             // AGGRESSIVE: attack adjacent enemy or pursue closest
             const adjacentEnemy = this.findAdjacentEnemy(character, enemies);
+
+            // Hurt and pressed by several enemies: hold a defensive stance (never two rounds running)
+            if (adjacentEnemy && this.shouldDefend(character, enemies)) {
+                character.lastAIAction = 'defend';
+                this.logger.debug(`[AI] ${character.name} (aggressive) enemies=[${enemyNames}] - outnumbered at ${character.health}/${character.maxHealth} HP, defending`);
+                return { action: 'defend', target: null };
+            }
+            character.lastAIAction = null;
+
+            // Held weapon resisted by the target's armor: swap to a secondary set that isn't
+            const swapAction = this.getSwapAction(character, adjacentEnemy || this.findClosestEnemy(character, enemies), enemyNames);
+            if (swapAction) return swapAction;
+
+            // Abilities whose AI hint fits the moment (see ABILITIES ai)
+            const abilityAction = this.getAbilityAction(character, adjacentEnemy, allCharacters, enemyNames);
+            if (abilityAction) return abilityAction;
+
+            // Spells whose AI hint fits the moment (see SPELLS ai)
+            const spellAction = this.getSpellAction(character, enemies, allCharacters, enemyNames);
+            if (spellAction) return spellAction;
+
+            // Ranged weapon: shoot, keep distance, or close into range
+            if (WEAPONS[character.equipment.mainHand]?.ranged) {
+                return this.getRangedAction(character, enemies, allCharacters, enemyNames);
+            }
+
+            // Reach weapon: strike or step into reach before anyone closes to adjacency
+            if (!adjacentEnemy && getAttackRange(character.equipment.mainHand).maxRange > 1) {
+                const reachAction = this.getReachAction(character, enemies, enemyNames);
+                if (reachAction) return reachAction;
+            }
+
             if (adjacentEnemy) {
                 // Choose attack type - heavy every third attack
                 this.currentAttacker = character;
@@ -88,6 +155,12 @@ export class AISystem {
                 };
             }
 
+            // Exhausted with no one in reach: catch breath before closing in
+            if (isExhausted(character)) {
+                this.logger.debug(`[AI] ${character.name} (aggressive) enemies=[${enemyNames}] - exhausted (stamina ${character.stamina}/${character.maxStamina}), waiting to recover`);
+                return { action: 'wait', target: null };
+            }
+
             const target = this.findClosestEnemy(character, enemies);
             if (target) {
                 this.logger.debug(`[AI] ${character.name} (aggressive) enemies=[${enemyNames}] - moving toward ${target.name}`);
@@ -111,6 +184,223 @@ export class AISystem {
         return { action: 'wait', target: null };
     }
 
+    /**
+     * Act on low morale: 'shaken' flees away from the nearest enemy, 'broken' surrenders
+     * A shaken character with nowhere to run begs for mercy instead
+     * Returns null while morale holds
+     */
+    getMoraleAction(character, enemies, enemyNames) {
+        const moraleState = this.moraleManager.getMoraleState(character);
+        if (moraleState === 'steady') return null;
+
+        if (moraleState === 'shaken') {
+            const escape = this.getMoveAwayAction(character, enemies);
+            if (escape.action === 'move') {
+                this.logger.debug(`[AI] ${character.name} (shaken) enemies=[${enemyNames}] - morale failing, fleeing`);
+                return { action: 'flee', target: escape.target };
+            }
+            this.logger.debug(`[AI] ${character.name} (shaken) enemies=[${enemyNames}] - cornered, surrendering`);
+        } else {
+            this.logger.debug(`[AI] ${character.name} (broken) enemies=[${enemyNames}] - morale broken, surrendering`);
+        }
+        return { action: 'surrender', target: null };
+    }
+
+    /**
+     * Swap AI: the target's armor resists the held weapon's damage type but not the secondary set's
+     * Returns null when there's no secondary set or it wouldn't help
+     */
+    getSwapAction(character, target, enemyNames) {
+        if (!target || !character.secondaryEquipment) return null;
+
+        const resisted = ARMOR_TYPES[target.equipment.armor || 'none'].resistantAgainst;
+        const heldType = WEAPONS[character.equipment.mainHand].type;
+        const secondaryType = WEAPONS[character.secondaryEquipment.mainHand].type;
+        if (!resisted.includes(heldType) || resisted.includes(secondaryType)) return null;
+
+        this.logger.debug(`[AI] ${character.name} (aggressive) enemies=[${enemyNames}] - ${target.name}'s armor resists ${heldType}, swapping to ${character.secondaryEquipment.mainHand}`);
+        return { action: 'swap', target: null, instant: isInstantSwap(character) };
+    }
+
+    /**
+     * Ability AI: the first affordable ability whose ai hint fits -
+     * maxHealthFraction (self, when hurt), minTargets (burst around itself), chance (% vs the adjacent enemy)
+     * Returns null when none fits
+     */
+    getAbilityAction(character, adjacentEnemy, allCharacters, enemyNames) {
+        const ownHex = { q: character.hexQ, r: character.hexR };
+        for (const abilityKey of this.abilityManager.getAbilities(character)) {
+            if (!this.abilityManager.canAfford(character, abilityKey)) continue;
+            const { ai, shape, effects } = ABILITIES[abilityKey];
+
+            let targetHex = null;
+            if (ai.maxHealthFraction && character.health < character.maxHealth * ai.maxHealthFraction) {
+                targetHex = ownHex;
+            } else if (ai.minTargets && shape.type === 'burst') {
+                // Anyone already carrying every condition the ability applies doesn't count
+                const affected = this.abilityManager.getAffectedCharacters(character, abilityKey, ownHex, allCharacters)
+                    .filter(other => !effects.every(effect => effect.type === 'condition' && other.conditions?.has(effect.condition)));
+                if (affected.length >= ai.minTargets) targetHex = ownHex;
+            } else if (ai.chance && adjacentEnemy && this.abilityManager.isValidTarget(character, abilityKey, { q: adjacentEnemy.hexQ, r: adjacentEnemy.hexR }, adjacentEnemy)) {
+                if (this.random.d100() <= ai.chance) targetHex = { q: adjacentEnemy.hexQ, r: adjacentEnemy.hexR };
+            }
+            if (!targetHex) continue;
+
+            this.logger.debug(`[AI] ${character.name} (aggressive) enemies=[${enemyNames}] - using ${abilityKey} at (${targetHex.q},${targetHex.r})`);
+            return { action: 'ability', target: targetHex, abilityKey };
+        }
+        return null;
+    }
+
+    /**
+     * Spellcaster AI (see SPELLS ai): mend the most hurt of self and allies below healBelow, otherwise
+     * cast the offensive spell catching the most enemies and no one else - never while engaged (it could fizzle)
+     * Taunted: offensive spells are only aimed at the taunter
+     */
+    getSpellAction(character, enemies, allCharacters, enemyNames) {
+        const ownHex = { q: character.hexQ, r: character.hexR };
+        const spellKeys = this.spellManager.getKnownSpells(character).filter(key => this.spellManager.canAfford(character, key));
+        const canTarget = (spellKey, hex, occupant) => this.spellManager.isValidTarget(character, spellKey, hex, occupant) &&
+            this.combatSystem.checkLineOfSight(ownHex, hex).clear;
+
+        for (const spellKey of spellKeys.filter(key => SPELLS[key].ai?.healBelow)) {
+            const hurt = allCharacters
+                .filter(other => !other.isDefeated && other.health < other.maxHealth * SPELLS[spellKey].ai.healBelow)
+                .filter(other => canTarget(spellKey, { q: other.hexQ, r: other.hexR }, other))
+                .sort((a, b) => a.health / a.maxHealth - b.health / b.maxHealth)[0];
+            if (!hurt) continue;
+            this.logger.debug(`[AI] ${character.name} (aggressive) enemies=[${enemyNames}] - casting ${spellKey} on ${hurt.name} (${hurt.health}/${hurt.maxHealth} HP)`);
+            return { action: 'cast', target: { q: hurt.hexQ, r: hurt.hexR }, spellKey };
+        }
+
+        if (this.spellManager.getEngagers(character, allCharacters).length > 0) return null;
+
+        const taunter = this.presenceManager.getTaunter(character);
+        const aimable = taunter ? enemies.filter(enemy => enemy === taunter) : enemies;
+
+        let best = null;
+        for (const spellKey of spellKeys.filter(key => SPELLS[key].ai?.minTargets)) {
+            for (const enemy of aimable) {
+                const hex = { q: enemy.hexQ, r: enemy.hexR };
+                if (!canTarget(spellKey, hex, enemy)) continue;
+                const affected = this.spellManager.getAffectedCharacters(character, spellKey, hex, allCharacters);
+                if (affected.some(other => !enemies.includes(other))) continue;
+                if (affected.length < SPELLS[spellKey].ai.minTargets || affected.length <= (best?.count || 0)) continue;
+                best = { spellKey, hex, count: affected.length };
+            }
+        }
+        if (!best) return null;
+
+        this.logger.debug(`[AI] ${character.name} (aggressive) enemies=[${enemyNames}] - casting ${best.spellKey} at (${best.hex.q},${best.hex.r}), catching ${best.count}`);
+        return { action: 'cast', target: best.hex, spellKey: best.spellKey };
+    }
+
+    /**
+     * Ranged AI: shoot the closest enemy in range with line of sight,
+     * back off when an enemy is inside minimum range, otherwise close in
+     */
+    getRangedAction(character, enemies, allCharacters, enemyNames) {
+        const weaponKey = character.equipment.mainHand;
+        if (!(character.ammo?.[weaponKey] > 0)) {
+            this.logger.debug(`[AI] ${character.name} (ranged) enemies=[${enemyNames}] - out of ammo, waiting`);
+            return { action: 'wait', target: null };
+        }
+
+        const inRange = enemies.filter(e => this.combatSystem.isInAttackRange(character, e.hexQ, e.hexR));
+        const shotTarget = this.findClosestEnemy(character, inRange);
+        if (shotTarget) {
+            this.currentAttacker = character;
+            const attackType = this.selectAttackType(shotTarget);
+            this.logger.debug(`[AI] ${character.name} (ranged) enemies=[${enemyNames}] - shooting ${shotTarget.name} at range ${this._getDistance(character, shotTarget)} (${attackType})`);
+            return {
+                action: 'attack',
+                target: { q: shotTarget.hexQ, r: shotTarget.hexR },
+                attackType: attackType
+            };
+        }
+
+        const target = this.findClosestEnemy(character, enemies);
+        if (!target) return { action: 'wait', target: null };
+
+        const { minRange } = getAttackRange(weaponKey);
+        if (this._getDistance(character, target) < minRange) {
+            this.logger.debug(`[AI] ${character.name} (ranged) enemies=[${enemyNames}] - ${target.name} too close, backing off`);
+            return this.getMoveAwayAction(character, enemies);
+        }
+
+        this.logger.debug(`[AI] ${character.name} (ranged) enemies=[${enemyNames}] - no shot, moving toward ${target.name}`);
+        return this.getMoveTowardAction(character, target, allCharacters);
+    }
+
+    /**
+     * Reach AI (no enemy adjacent): strike the closest enemy within reach, otherwise
+     * step to a free hex that brings an enemy into reach without ending adjacent to one
+     * Returns null when neither works, falling back to closing in
+     */
+    getReachAction(character, enemies, enemyNames) {
+        const inReach = enemies.filter(e => this.combatSystem.isInAttackRange(character, e.hexQ, e.hexR));
+        const reachTarget = this.findClosestEnemy(character, inReach);
+        if (reachTarget) {
+            this.currentAttacker = character;
+            const attackType = this.selectAttackType(reachTarget);
+            this.logger.debug(`[AI] ${character.name} (reach) enemies=[${enemyNames}] - striking ${reachTarget.name} at reach ${this._getDistance(character, reachTarget)} (${attackType})`);
+            return {
+                action: 'attack',
+                target: { q: reachTarget.hexQ, r: reachTarget.hexR },
+                attackType: attackType
+            };
+        }
+
+        if (isExhausted(character)) return null;
+
+        const { maxRange } = getAttackRange(character.equipment.mainHand);
+        for (const hex of this.hexGrid.getNeighbors({ q: character.hexQ, r: character.hexR })) {
+            if (this.pathfinding?.blockedHexes?.has(hexKey(hex.q, hex.r))) continue;
+            if (this.getCharacterAtHex(hex.q, hex.r)) continue;
+
+            const distances = enemies.map(e => this.hexGrid.hexDistance(hex, { q: e.hexQ, r: e.hexR }));
+            if (distances.some(dist => dist <= 1)) continue;
+            const reachable = enemies.some((e, i) => {
+                if (distances[i] > maxRange) return false;
+                const { clear, cover } = this.combatSystem.checkLineOfSight(hex, { q: e.hexQ, r: e.hexR });
+                return clear && cover === 0;
+            });
+            if (reachable) {
+                this.logger.debug(`[AI] ${character.name} (reach) enemies=[${enemyNames}] - stepping to (${hex.q},${hex.r}) to hold reach`);
+                return { action: 'move', target: hex };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Step to the free neighbor hex that most increases distance to the nearest enemy
+     * Waits if no neighbor improves on the current position
+     */
+    getMoveAwayAction(character, enemies) {
+        const nearestEnemyDistance = (hex) => Math.min(...enemies.map(e =>
+            this.hexGrid.hexDistance(hex, { q: e.hexQ, r: e.hexR })));
+
+        let bestHex = null;
+        let bestDist = nearestEnemyDistance({ q: character.hexQ, r: character.hexR });
+
+        for (const hex of this.hexGrid.getNeighbors({ q: character.hexQ, r: character.hexR })) {
+            if (this.pathfinding?.blockedHexes?.has(hexKey(hex.q, hex.r))) continue;
+            if (this.getCharacterAtHex(hex.q, hex.r)) continue;
+
+            const dist = nearestEnemyDistance(hex);
+            if (dist > bestDist) {
+                bestDist = dist;
+                bestHex = hex;
+            }
+        }
+
+        if (bestHex) {
+            return { action: 'move', target: bestHex };
+        }
+        return { action: 'wait', target: null };
+    }
+
     /**
      * Get all enemies for this character (shared across faction)
      */
@@ -137,7 +427,29 @@ export class AISystem {
     }
 
     /**
-     * Select attack type - uses heavy attack every third attack regardless of armor
+     * Decide whether to defend: below DEFEND_STANCE.aiHealthThreshold HP with 2+ adjacent enemies,
+     * and didn't defend last round (prevents stalemates between defending characters)
+     */
+    shouldDefend(character, enemies) {
+        if (character.lastAIAction === 'defend') return false;
+        if (character.health > character.maxHealth * DEFEND_STANCE.aiHealthThreshold) return false;
+        return this.countAdjacentEnemies(character, enemies) >= 2;
+    }
+
+    /**
+     * Count living enemies adjacent to character
+     */
+    countAdjacentEnemies(character, enemies) {
+        const neighbors = this.hexGrid.getNeighbors({ q: character.hexQ, r: character.hexR });
+        return neighbors.filter(hex => {
+            const occupant = this.getCharacterAtHex(hex.q, hex.r);
+            return occupant && enemies.includes(occupant) && !occupant.isDefeated;
+        }).length;
+    }
+
+    /**
+     * Select attack type - uses heavy attack every third attack regardless of armor,
+     * falling back to light when there isn't the stamina for it
      */
     selectAttackType(target) {
         // Initialize attack counter if needed (stored on the AI character's own object)
@@ -149,8 +461,8 @@ export class AISystem {
         // Increment counter
         attacker.attackCounter++;
 
-        // Every third attack is heavy
-        if (attacker.attackCounter % 3 === 0) {
+        // Every third attack is heavy (if there's the stamina to swing it)
+        if (attacker.attackCounter % 3 === 0 && canAffordStamina(attacker, 'heavyAttack')) {
             return 'heavy';
         }
 
@@ -187,8 +499,14 @@ export class AISystem {
 
     /**
      * Find an adjacent enemy from the provided list
+     * Taunted: only the taunter counts (see findClosestEnemy)
      */
     findAdjacentEnemy(character, enemies) {
+        const taunter = this.presenceManager.getTaunter(character);
+        if (taunter) {
+            return enemies.includes(taunter) && this._getDistance(character, taunter) === 1 ? taunter : null;
+        }
+
         const neighbors = this.hexGrid.getNeighbors({ q: character.hexQ, r: character.hexR });
         for (const hex of neighbors) {
             const occupant = this.getCharacterAtHex(hex.q, hex.r);
@@ -201,8 +519,16 @@ export class AISystem {
 
     /**
      * Find closest enemy, preferring lastAttackedBy for ties
+     * Taunted: the taunter overrides distance - it is the only pick, or null if it isn't in the list
+     * (e.g. out of range), so the AI closes in on it instead of turning on someone else
      */
     findClosestEnemy(character, enemies) {
+        const taunter = this.presenceManager.getTaunter(character);
+        if (taunter) {
+            this.logger.debug(`[AI] ${character.name} (taunted) - forced to target ${taunter.name}`);
+            return enemies.includes(taunter) ? taunter : null;
+        }
+
         let closest = null;
         let minDist = Infinity;
 
@@ -0,0 +1,91 @@
+import { ABILITIES, hasShieldEquipped } from './const.js';
+import { areHostile } from './utils.js';
+
+export class AbilityManager {
+    constructor(logger, hexGrid) {
+        const params = { logger, hexGrid };
+        for (const [name, param] of Object.entries(params)) {
+            if (!param) throw new Error(`AbilityManager: missing required '${name}'`);
+        }
+        this.logger = logger;
+        this.hexGrid = hexGrid;
+    }
+
+    /**
+     * Abilities a character can use: its template grants plus every ability whose skill requirement it meets,
+     * as long as it holds the equipment the ability requires
+     * Returns ABILITIES keys in registry order
+     */
+    getAbilities(character) {
+        return Object.keys(ABILITIES).filter(key => {
+            const skill = ABILITIES[key].skill;
+            const granted = character.abilities?.includes(key) || (skill && (character.skills?.[skill.key] || 0) >= skill.level);
+            return granted && this.hasRequiredEquipment(character, key);
+        });
+    }
+
+    /**
+     * Check the ability's equipment requirement (ABILITIES requires)
+     */
+    hasRequiredEquipment(character, abilityKey) {
+        const requires = ABILITIES[abilityKey].requires;
+        if (requires === 'shield') return hasShieldEquipped(character);
+        return true;
+    }
+
+    hasAbility(character, abilityKey) {
+        return this.getAbilities(character).includes(abilityKey);
+    }
+
+    /**
+     * Enough stamina to pay the ability's cost
+     */
+    canAfford(character, abilityKey) {
+        if (character.stamina === undefined) return true;
+        return character.stamina >= (ABILITIES[abilityKey].cost.stamina || 0);
+    }
+
+    /**
+     * Pay the ability's cost (never below 0), returns the stamina spent
+     */
+    spendCost(character, abilityKey) {
+        const spent = Math.min(character.stamina, ABILITIES[abilityKey].cost.stamina || 0);
+        character.stamina -= spent;
+        return spent;
+    }
+
+    /**
+     * Check a target hex against the ability's range and target type
+     * The character standing there (if any) must match: self, a faction ally (or self), or a living non-ally
+     * The user must still hold the equipment the ability requires
+     */
+    isValidTarget(user, abilityKey, targetHex, targetChar) {
+        const ability = ABILITIES[abilityKey];
+        if (!this.hasRequiredEquipment(user, abilityKey)) return false;
+        const distance = this.hexGrid.hexDistance({ q: user.hexQ, r: user.hexR }, targetHex);
+        if (distance > ability.range) return false;
+
+        if (ability.target === 'self') return targetChar === user;
+        if (!targetChar || targetChar.isDefeated) return false;
+        if (ability.target === 'ally') return targetChar.faction === user.faction;
+        return targetChar !== user && targetChar.faction !== user.faction;
+    }
+
+    /**
+     * Everyone the ability lands on from a target hex (see ABILITIES shape)
+     * Burst: living characters within radius - the user's faction ('allies') or those hostile to the user ('enemies')
+     */
+    getAffectedCharacters(user, abilityKey, targetHex, characters) {
+        const shape = ABILITIES[abilityKey].shape;
+        if (shape.type === 'burst') {
+            return characters.filter(other => {
+                if (other.isDefeated || other.hasSurrendered) return false;
+                if (this.hexGrid.hexDistance(targetHex, { q: other.hexQ, r: other.hexR }) > shape.radius) return false;
+                return shape.affects === 'allies' ? other.faction === user.faction : areHostile(user, other);
+            });
+        }
+
+        const single = characters.find(other => other.hexQ === targetHex.q && other.hexR === targetHex.r && !other.isDefeated);
+        return single ? [single] : [];
+    }
+}
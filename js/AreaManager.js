@@ -1,10 +1,10 @@
-import { NPC_TEMPLATES } from './const.js';
+import { NPC_TEMPLATES, TERRAIN_TYPES } from './const.js';
 import { CharacterFactory } from './CharacterFactory.js';
 
 /**
  * AreaManager - Handles loading and transitioning between game areas
  *
- * Areas are discrete maps with their own backgrounds, dimensions, and blocked hexes.
+ * Areas are discrete maps with their own backgrounds, dimensions, blocked hexes and terrain.
  * Inspired by Baldur's Gate style area-based world design.
  *
  * Architecture: AreaManager acts as the "repository" for NPCs - abstracts where template data comes from.
@@ -72,6 +72,27 @@ export class AreaManager {
             }
         }
 
+        if (areaDef.terrain !== undefined) {
+            if (typeof areaDef.terrain !== "object" || areaDef.terrain === null || Array.isArray(areaDef.terrain)) {
+                console.warn(`[AreaManager] Area '${areaId}': 'terrain' should be an object, got ${Array.isArray(areaDef.terrain) ? "array" : typeof areaDef.terrain}`);
+            } else {
+                for (const [key, hexes] of Object.entries(areaDef.terrain)) {
+                    if (!TERRAIN_TYPES[key]) {
+                        console.warn(`[AreaManager] Area '${areaId}': terrain['${key}'] is not a known terrain type (${Object.keys(TERRAIN_TYPES).join(", ")})`);
+                    }
+                    if (!Array.isArray(hexes)) {
+                        console.warn(`[AreaManager] Area '${areaId}': terrain['${key}'] should be an array, got ${typeof hexes}`);
+                        continue;
+                    }
+                    hexes.forEach((entry, i) => {
+                        if (typeof entry?.q !== "number" || typeof entry?.r !== "number") {
+                            console.warn(`[AreaManager] Area '${areaId}': terrain['${key}'][${i}] missing numeric q/r`);
+                        }
+                    });
+                }
+            }
+        }
+
         if (areaDef.spawns !== undefined) {
             if (typeof areaDef.spawns !== "object" || Array.isArray(areaDef.spawns)) {
                 console.warn(`[AreaManager] Area '${areaId}': 'spawns' should be an object, got ${Array.isArray(areaDef.spawns) ? "array" : typeof areaDef.spawns}`);
@@ -215,9 +236,10 @@ export class AreaManager {
             this.hexGrid.resize(areaDef.width, areaDef.height);
         }
 
-        // Set blocked hexes for pathfinding
+        // Set blocked hexes and terrain for pathfinding
         if (this.pathfinding) {
             this.pathfinding.setBlockedHexes(areaDef.blocked || []);
+            this.pathfinding.setTerrain(areaDef.terrain || {});
         }
 
         // Get spawn point
@@ -4,8 +4,8 @@
  */
 
 import {
-	STATS, STAT_BONUSES, WEAPONS, ARMOR_TYPES, ATTACK_TYPES,
-	calculateMaxHP, calculateHPBuffer, calculateCerebralPresence,
+	STATS, STAT_BONUSES, STAMINA, MANA, SPELLS, WEAPONS, ARMOR_TYPES, ATTACK_TYPES,
+	calculateMaxHP, calculateHPBuffer, calculateMaxStamina, calculateMaxMana, getKnownSpells, calculateCerebralPresence,
 	calculateEngagedMax, calculateMoveSpeed, calculateActionSpeed,
 	calculateDamage, calculateAttackRating, calculateDefenseRating,
 	calculateCSA_R, calculateCSD_R, getEquipmentBonus, getWeaponSynergy, createDefaultSkills
@@ -28,14 +28,17 @@ class CharacterCreator {
 				mainHand: 'unarmed',
 				offHand: null,
 				armor: 'none'
-			}
+			},
+			skillProgress: {},
+			injuries: [],
+			inventory: null // null until a saved build is loaded - the game then gives the template's starting items
 		};
 
 		// Point pools
 		this.statPointsTotal = 63; // 30 base (10 stats * 3) + 33 distributable
 		this.statPointsUsed = 30; // 10 stats * 3 minimum
-		this.skillPointsTotal = 15; // Starting skill points
-		this.skillPointsUsed = 11; // 11 skills * 1 minimum
+		this.skillPointsTotal = 18; // Starting skill points
+		this.skillPointsUsed = 14; // 14 skills * 1 minimum
 
 		// Cache DOM elements
 		this.elements = {};
@@ -80,10 +83,12 @@ class CharacterCreator {
 		this.elements.derived = {
 			maxHP: document.querySelector('[data-derived="maxHP"]'),
 			damageBonus: document.querySelector('[data-derived="damageBonus"]'),
+			maxStamina: document.querySelector('[data-derived="maxStamina"]'),
 			attackRating: document.querySelector('[data-derived="attackRating"]'),
 			defenseRating: document.querySelector('[data-derived="defenseRating"]'),
 			cerebralPresence: document.querySelector('[data-derived="cerebralPresence"]'),
 			engageMax: document.querySelector('[data-derived="engageMax"]'),
+			maxMana: document.querySelector('[data-derived="maxMana"]'),
 			hpBuffer: document.querySelector('[data-derived="hpBuffer"]'),
 			critAttack: document.querySelector('[data-derived="critAttack"]'),
 			critDefense: document.querySelector('[data-derived="critDefense"]')
@@ -367,6 +372,14 @@ class CharacterCreator {
 			getLabel(d.damageBonus).dataset.formula = `Str(${stats.str}) → ${mult}x`;
 		}
 
+		// Max Stamina
+		if (d.maxStamina) {
+			const maxStamina = calculateMaxStamina(stats);
+			d.maxStamina.textContent = maxStamina;
+			d.maxStamina.value = maxStamina;
+			getLabel(d.maxStamina).dataset.formula = `(Con(${stats.con}) × ${STAMINA.conMultiplier}) + (Will(${stats.will}) × ${STAMINA.willMultiplier})`;
+		}
+
 		// Attack Rating (stats only)
 		if (d.attackRating) {
 			const attackRating = this.calculateBaseAttackRating();
@@ -400,6 +413,15 @@ class CharacterCreator {
 			getLabel(d.engageMax).dataset.formula = `Cerebral Presence(${cp}) / 6`;
 		}
 
+		// Max Mana (0 until a spell is known)
+		if (d.maxMana) {
+			const maxMana = calculateMaxMana(stats);
+			const spells = getKnownSpells(stats).map(key => SPELLS[key].name);
+			d.maxMana.textContent = maxMana;
+			d.maxMana.value = maxMana;
+			getLabel(d.maxMana).dataset.formula = `(Int(${stats.int}) × ${MANA.intMultiplier}) + (Wis(${stats.wis}) × ${MANA.wisMultiplier}) - spells: ${spells.length > 0 ? spells.join(', ') : 'none'}`;
+		}
+
 		// HP Buffer
 		if (d.hpBuffer) {
 			const buffer = calculateHPBuffer(stats);
@@ -618,12 +640,16 @@ class CharacterCreator {
 				mainHand: 'unarmed',
 				offHand: null,
 				armor: 'none'
-			}
+			},
+			skillProgress: {},
+			injuries: [],
+			inventory: null // null until a saved build is loaded - the game then gives the template's starting items
 		};
 
 		// Reset point pools
 		this.statPointsUsed = 30;
-		this.skillPointsUsed = 11;
+		this.skillPointsTotal = 18;
+		this.skillPointsUsed = 14;
 
 		// Update name input
 		if (this.elements.nameInput) {
@@ -777,12 +803,18 @@ class CharacterCreator {
 		// Load character state
 		this.character.name = data.name || 'Hero';
 		this.character.stats = { ...data.stats };
-		this.character.skills = { ...data.skills };
+		// Defaults first so characters saved before newer skills existed still load
+		this.character.skills = { ...createDefaultSkills(), ...data.skills };
 		this.character.equipment = { ...data.equipment };
+		this.character.skillProgress = { ...(data.skillProgress || {}) };
+		this.character.injuries = [...(data.injuries || [])];
+		this.character.inventory = data.inventory ? data.inventory.map(entry => ({ ...entry })) : null;
 
 		// Recalculate point usage
 		this.statPointsUsed = Object.values(this.character.stats).reduce((sum, val) => sum + val, 0);
 		this.skillPointsUsed = Object.values(this.character.skills).reduce((sum, val) => sum + val, 0);
+		// Skills trained in combat can exceed the starting pool - never show negative points
+		this.skillPointsTotal = Math.max(18, this.skillPointsUsed);
 
 		// Update name input
 		if (this.elements.nameInput) {
@@ -812,7 +844,10 @@ class CharacterCreator {
 			name: this.character.name,
 			stats: { ...this.character.stats },
 			skills: { ...this.character.skills },
-			equipment: { ...this.character.equipment }
+			equipment: { ...this.character.equipment },
+			skillProgress: { ...(this.character.skillProgress || {}) },
+			injuries: [...(this.character.injuries || [])],
+			inventory: this.character.inventory ? this.character.inventory.map(entry => ({ ...entry })) : null
 		};
 	}
 }
@@ -1,4 +1,4 @@
-import { createDefaultSkills, calculateMaxHP, calculateHPBuffer, calculateEngagedMax } from './const.js';
+import { createDefaultSkills, calculateMaxHP, calculateHPBuffer, calculateEngagedMax, calculateMaxStamina, calculateMaxMana, createArmorInstance, createAmmo, applyInjuryEffects, getUninjuredValues } from './const.js';
 
 /**
  * CharacterFactory - Creates character objects with default properties
@@ -27,6 +27,35 @@ export class CharacterFactory {
 		return null;
 	}
 
+	/**
+	 * Persist trained skills, lasting injuries and inventory of player-side characters into their saved builds.
+	 * Merges into the existing charTemplate_<name> entry so loadSavedBuild picks them up.
+	 * Only the player character gets a new build - template allies without one keep following their template.
+	 * Stats and skills are saved without injury penalties (createCharacter re-applies saved injuries).
+	 * @param {Object[]} characters - Characters to save (non pc/pc_ally factions are skipped)
+	 * @param {Object} [player] - The player character, saved even without an existing build
+	 */
+	static saveBuilds(characters, player) {
+		for (const character of characters) {
+			if (character.faction !== 'pc' && character.faction !== 'pc_ally') continue;
+			const key = `charTemplate_${character.name}`;
+			try {
+				const existing = localStorage.getItem(key);
+				if (!existing && character !== player) continue;
+				const build = existing
+					? JSON.parse(existing)
+					: { name: character.name, stats: getUninjuredValues(character, 'stats'), equipment: { ...character.equipment } };
+				build.skills = getUninjuredValues(character, 'skills');
+				build.skillProgress = { ...character.skillProgress };
+				build.injuries = character.injuries.map(({ key, remaining }) => ({ key, remaining }));
+				build.inventory = character.inventory.map(entry => ({ ...entry }));
+				localStorage.setItem(key, JSON.stringify(build));
+			} catch (e) {
+				console.warn(`[CharacterFactory] Failed to save build for "${character.name}":`, e);
+			}
+		}
+	}
+
 	/**
 	 * Create a character with default properties merged with config.
 	 * Automatically checks localStorage for a saved build matching config.name.
@@ -110,6 +139,7 @@ export class CharacterFactory {
 		character.enemies = new Set();
 		character.engagedBy = new Set();
 		character.hpBufferByAttacker = new Map();
+		character.conditions = new Map(); // conditionKey -> { key, stacks, remaining, intensity }
 
 		// Calculate health properties from stats (immediate, not deferred)
 		character.maxHealth = calculateMaxHP(character.stats);
@@ -117,6 +147,46 @@ export class CharacterFactory {
 		character.hpBufferMax = calculateHPBuffer(character.stats);
 		character.engagedMax = calculateEngagedMax(character.stats);
 
+		// Stamina (spent by heavy attacks, blocks and moving in combat; recovers on WAIT and in exploration)
+		character.maxStamina = calculateMaxStamina(character.stats);
+		character.stamina = character.maxStamina;
+
+		// Mana (spent by spells; recovers on WAIT and in exploration) - 0 for characters who know no spell
+		// maxMana is read from the current stats, so Int/Wis injuries and stat changes shrink or grow the pool
+		Object.defineProperty(character, 'maxMana', {
+			get() { return calculateMaxMana(this.stats); },
+			enumerable: true
+		});
+		character.mana = character.maxMana;
+
+		// First aid can be received once between fights (reset on combat exit)
+		character.firstAidReceived = false;
+
+		// Worn armor instance (durability persists across combats until repaired)
+		character.armorInstance = createArmorInstance(character.equipment.armor || 'none');
+
+		// Ammo for ranged weapons (spent shots are recovered after combat)
+		character.ammo = createAmmo(character.equipment);
+
+		// Secondary weapon set - { mainHand, offHand } traded with the held set by the SWAP action (null if none)
+		character.secondaryEquipment = config.secondaryEquipment ? { ...config.secondaryEquipment } : null;
+		character.weaponSetSwapped = false; // true while the secondary set is held (see restorePrimaryWeaponSet)
+
+		// Abilities granted by the template (skill-granted ones are added by AbilityManager.getAbilities)
+		character.abilities = [...(config.abilities || [])];
+
+		// Carried items - [{ type, key, count }] (persisted with the saved build, else the template's starting items)
+		character.inventory = (savedBuild?.inventory || config.inventory || []).map(entry => ({ ...entry }));
+
+		// Use-based skill XP toward the next level - { skillKey: xp } (persisted with the saved build)
+		character.skillProgress = { ...(savedBuild?.skillProgress || {}) };
+
+		// Lasting injuries - [{ key, remaining, applied }] (persisted with the saved build, penalties re-applied here)
+		character.injuries = [];
+		for (const { key, remaining } of savedBuild?.injuries || []) {
+			applyInjuryEffects(character, key, remaining);
+		}
+
 		return character;
 	}
 }
@@ -1,4 +1,4 @@
-import { GAME_CONSTANTS, FACTIONS, getAnimationConfig } from "./const.js";
+import { GAME_CONSTANTS, FACTIONS, getAnimationConfig, isExhausted } from "./const.js";
 
 export class CharacterRenderer {
     constructor(hexGrid, zoomLevel) {
@@ -152,6 +152,10 @@ export class CharacterRenderer {
         const barWidth = GAME_CONSTANTS.NAMEPLATE_WIDTH;
         const barHeight = GAME_CONSTANTS.HEALTH_BAR_HEIGHT;
         const bufferBarHeight = GAME_CONSTANTS.BUFFER_BAR_HEIGHT;
+        const staminaBarHeight = GAME_CONSTANTS.STAMINA_BAR_HEIGHT;
+        const manaBarHeight = character.maxMana > 0 ? GAME_CONSTANTS.MANA_BAR_HEIGHT : 0;
+        // Stamina and mana bars (with their gaps) stacked under the health bar
+        const barsBelowHeight = (character.maxStamina > 0 ? staminaBarHeight + 2 : 0) + (manaBarHeight > 0 ? manaBarHeight + 1 : 0);
 
         ctx.save();
 
@@ -163,9 +167,12 @@ export class CharacterRenderer {
             const nameplatePadding = 8;
             const nameplateWidth =
                 Math.max(barWidth, 120) + nameplatePadding * 2;
-            const nameplateHeight = 65;
             const nameplateX = character.pixelX - nameplateWidth / 2;
             const nameplateBackgroundY = nameplateY - 40;
+            // Grow the background to hold every bar drawn under the health bar
+            const nameplateHeight = barsBelowHeight > 0
+                ? barY + barHeight + barsBelowHeight + nameplatePadding / 2 - nameplateBackgroundY
+                : 65;
             const factionData = this.getFactionData(character);
 
             // Background
@@ -239,6 +246,35 @@ export class CharacterRenderer {
             }
         }
 
+        // Stamina bar (thin yellow bar below health bar, dims when exhausted)
+        if (character.maxStamina > 0) {
+            const staminaBarY = barY + barHeight + 2;
+            const staminaPercent = Math.max(0, character.stamina) / character.maxStamina;
+            const staminaWidth = barWidth * staminaPercent;
+
+            // Stamina background (spent portion)
+            ctx.fillStyle = "rgba(60, 50, 20, 0.8)";
+            ctx.fillRect(barX, staminaBarY, barWidth, staminaBarHeight);
+
+            // Stamina fill (remaining)
+            ctx.fillStyle = isExhausted(character) ? "rgba(160, 110, 30, 0.9)" : "rgba(240, 200, 40, 0.9)";
+            ctx.fillRect(barX, staminaBarY, staminaWidth, staminaBarHeight);
+        }
+
+        // Mana bar (thin blue bar below stamina, spellcasters only)
+        if (character.maxMana > 0) {
+            const manaBarY = barY + barHeight + 2 + staminaBarHeight + 1;
+            const manaWidth = barWidth * Math.max(0, character.mana) / character.maxMana;
+
+            // Mana background (spent portion)
+            ctx.fillStyle = "rgba(20, 30, 60, 0.8)";
+            ctx.fillRect(barX, manaBarY, barWidth, manaBarHeight);
+
+            // Mana fill (remaining)
+            ctx.fillStyle = "rgba(70, 130, 230, 0.9)";
+            ctx.fillRect(barX, manaBarY, manaWidth, manaBarHeight);
+        }
+
         // Health text
         ctx.font = "bold 18px Arial";
         ctx.fillStyle = "white";
@@ -250,6 +286,17 @@ export class CharacterRenderer {
             barY + barHeight / 2,
         );
 
+        // Grapple status (label under the bars while locked in a grapple)
+        const grappleLabel = character.grappledBy ? "GRAPPLED" : character.grappling ? "GRAPPLING" : null;
+        if (grappleLabel) {
+            ctx.font = "bold 16px Arial";
+            ctx.textBaseline = "top";
+            ctx.fillStyle = "rgba(0, 0, 0, 0.9)";
+            ctx.fillText(grappleLabel, character.pixelX + 1, barY + barHeight + staminaBarHeight + manaBarHeight + 5);
+            ctx.fillStyle = "rgba(255, 140, 0, 0.95)";
+            ctx.fillText(grappleLabel, character.pixelX, barY + barHeight + staminaBarHeight + manaBarHeight + 4);
+        }
+
         ctx.restore();
     }
 }
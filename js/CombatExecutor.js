@@ -1,9 +1,9 @@
-import { GAME_CONSTANTS, calculateMoveSpeed, calculateActionSpeed, getSpeedTier, calculateInitiative, getFacingFromDelta, calculateAttackTiming, ARMOR_TYPES } from './const.js';
-import { makeEnemies } from './utils.js';
+import { GAME_CONSTANTS, STAMINA, MANA, CONDITIONS, recoverStamina, recoverMana, calculateMoveSpeed, calculateActionSpeed, calculateSwapSpeed, calculateDefenseRating, getSpeedTier, calculateInitiative, getFacingFromDelta, calculateAttackTiming, ARMOR_TYPES, getAttackRange, ITEMS, PRESENCE, ABILITIES, SPELLS, TERRAIN_TYPES } from './const.js';
+import { makeEnemies, areHostile } from './utils.js';
 
 export class CombatExecutor {
-    constructor(hexGrid, getCharacterAtHex, movementSystem, combatSystem, logger) {
-        const params = { hexGrid, getCharacterAtHex, movementSystem, combatSystem, logger };
+    constructor(hexGrid, getCharacterAtHex, movementSystem, combatSystem, logger, random) {
+        const params = { hexGrid, getCharacterAtHex, movementSystem, combatSystem, logger, random };
         for (const [name, param] of Object.entries(params)) {
             if (!param) throw new Error(`CombatExecutor: missing required '${name}'`);
         }
@@ -12,6 +12,7 @@ export class CombatExecutor {
         this.movementSystem = movementSystem;
         this.combatSystem = combatSystem;
         this.logger = logger;
+        this.random = random;
 
         // Phase execution state (owned by executor)
         this.executionQueue = [];
@@ -32,6 +33,8 @@ export class CombatExecutor {
         this.onClearRecentlyHit = null;
         this.onClearPlayerSelection = null;
         this.onUpdateEngagement = null;
+        this.onCharacterFled = null;
+        this.onCharacterSurrendered = null;
     }
 
     /**
@@ -48,24 +51,22 @@ export class CombatExecutor {
      * Sort characters by speed tier, then initiative, with random tiebreaker
      * @param {Array} characters - Characters to sort
      * @param {string} phase - 'move' or 'action'
-     * @param {Map} [actionsMap] - Map of character -> action (used for action phase to get attack type)
+     * @param {Map} [actionsMap] - Map of character -> action (move phase: destination terrain, action phase: attack type)
      */
     sortBySpeed(characters, phase, actionsMap = null) {
         // Assign d100 tiebreaker roll to each character once (avoids sort comparator bias)
-        characters.forEach(c => c._tiebreakRoll = Math.floor(Math.random() * 100) + 1);
+        characters.forEach(c => c._tiebreakRoll = this.random.d100());
 
         const sorted = [...characters].sort((a, b) => {
             // Calculate speed based on phase
             let speedA, speedB;
             if (phase === 'move') {
-                speedA = calculateMoveSpeed(a);
-                speedB = calculateMoveSpeed(b);
+                speedA = this.getMoveSpeed(a, actionsMap?.get(a));
+                speedB = this.getMoveSpeed(b, actionsMap?.get(b));
             } else {
-                // Action phase: use actual attack type from actions map
-                const attackTypeA = actionsMap?.get(a)?.attackType || 'light';
-                const attackTypeB = actionsMap?.get(b)?.attackType || 'light';
-                speedA = calculateActionSpeed(a, attackTypeA);
-                speedB = calculateActionSpeed(b, attackTypeB);
+                // Action phase: use actual attack type from actions map (swaps are timed on the set being drawn, abilities by their speed)
+                speedA = this.getActionPhaseSpeed(a, actionsMap?.get(a));
+                speedB = this.getActionPhaseSpeed(b, actionsMap?.get(b));
             }
 
             // Get tiers (lower tier = faster = goes first)
@@ -93,6 +94,16 @@ export class CombatExecutor {
         return sorted;
     }
 
+    /**
+     * Speed of a character's action-phase action
+     */
+    getActionPhaseSpeed(character, action) {
+        if (action?.action === 'swap') return calculateSwapSpeed(character);
+        if (action?.action === 'ability') return calculateActionSpeed(character, ABILITIES[action.abilityKey].speed);
+        if (action?.action === 'cast') return calculateActionSpeed(character, SPELLS[action.spellKey].speed);
+        return calculateActionSpeed(character, action?.attackType || 'light');
+    }
+
     /**
      * Begin combat execution — builds queues and kicks off move phase
      * @param {Array} combatCharacters - All living combat participants
@@ -103,20 +114,97 @@ export class CombatExecutor {
         this.characterActions = characterActions;
         this.currentPhase = 'move';
 
+        // Surrenders, rests, defend stances and dropped shields take effect before anyone moves or attacks
+        this.applySurrenders();
+        this.applyWaitRecovery();
+        this.applyDefendStances();
+        this.applyInstantSwaps();
+
         // Start with move phase
         this.executeMovePhase();
     }
 
     /**
-     * Execute all MOVE actions first, sorted by speed
+     * Resolve SURRENDER actions (AI morale broke): the character begs for mercy and leaves the fight
+     * GameStateManager drops the hostilities and removes it from combat
+     */
+    applySurrenders() {
+        const surrendering = this.executionQueue.filter(char => {
+            const action = this.characterActions.get(char);
+            return action && action.action === 'surrender';
+        });
+
+        for (const character of surrendering) {
+            this.logger.combatSeparator();
+            this.logger.combat(`{{char:${character.name}}} throws down their weapon and begs for mercy {{surrendered}}`);
+            character.currentAnimation = 'idle';
+            if (this.onCharacterSurrendered) this.onCharacterSurrendered(character);
+        }
+    }
+
+    /**
+     * Characters that chose WAIT catch their breath (STAMINA.waitRecovery) and gather mana (MANA.waitRecovery)
+     */
+    applyWaitRecovery() {
+        const resting = this.executionQueue.filter(char => {
+            const action = this.characterActions.get(char);
+            return action && action.action === 'wait' && (char.stamina < char.maxStamina || char.mana < char.maxMana);
+        });
+
+        for (const character of resting) {
+            if (character.stamina < character.maxStamina) {
+                recoverStamina(character, STAMINA.waitRecovery);
+                this.logger.debug(`[STAMINA] ${character.name} waits, recovers to ${character.stamina}/${character.maxStamina}`);
+            }
+            if (character.mana < character.maxMana) {
+                recoverMana(character, MANA.waitRecovery);
+                this.logger.debug(`[MANA] ${character.name} waits, recovers to ${character.mana}/${character.maxMana}`);
+            }
+        }
+    }
+
+    /**
+     * Raise defend stances for all characters that chose DEFEND
+     * Stance lasts for the whole round (cleared by GSM at next round start)
+     */
+    applyDefendStances() {
+        const defenders = this.executionQueue.filter(char => {
+            const action = this.characterActions.get(char);
+            return action && action.action === 'defend';
+        });
+
+        for (const character of defenders) {
+            character.isDefending = true;
+            this.logger.combatSeparator();
+            this.logger.combat(`{{char:${character.name}}}: Defend {{defending}} (Defense Rating ${calculateDefenseRating(character)})`);
+        }
+    }
+
+    /**
+     * Resolve SWAP actions that only drop the shield - instant, so they don't wait for the action phase
+     */
+    applyInstantSwaps() {
+        const swappers = this.executionQueue.filter(char => {
+            const action = this.characterActions.get(char);
+            return action && action.action === 'swap' && action.instant;
+        });
+
+        for (const character of swappers) {
+            this.logger.combatSeparator();
+            this.combatSystem.executeSwap(character);
+        }
+    }
+
+    /**
+     * Execute all MOVE and FLEE actions first, sorted by speed
      */
     executeMovePhase() {
-        // Filter characters with MOVE actions, sort by speed
+        // Filter characters with MOVE/FLEE actions, sort by speed
         const movers = this.executionQueue.filter(char => {
             const action = this.characterActions.get(char);
-            return action && action.action === 'move';
+            return action && (action.action === 'move' || action.action === 'flee');
         });
-        this.moveQueue = this.sortBySpeed(movers, 'move');
+        this.moveQueue = this.sortBySpeed(movers, 'move', this.characterActions);
         this.currentMoveIndex = 0;
 
         this.executeNextMove();
@@ -151,30 +239,93 @@ export class CombatExecutor {
 
         const action = this.characterActions.get(character);
 
-        // Check if target hex is occupied (collision detection)
+        if (action.action === 'flee') {
+            this.executeFlee(character, action);
+            return;
+        }
+
+        const next = () => {
+            this.currentMoveIndex++;
+            this.executeNextMove();
+        };
+
+        // Leaving an engaged hex provokes opportunity attacks (a blocked or grapple-locked move never leaves)
+        const neverLeaves = this.getCharacterAtHex(action.target.q, action.target.r) || character.grappledBy || character.grappling;
+        const provokers = neverLeaves ? [] : this.getOpportunityAttackers(character);
+        this.executeFreeAttacks(provokers, character, 'opportunity', () => {
+            if (character.isDefeated) {
+                next();
+                return;
+            }
+            this.executeMove(character, action, next);
+        });
+    }
+
+    /**
+     * Get engaging enemies able to strike the character as it leaves its hex
+     * (adjacent and within their weapon's reach - a bow can't shoot point blank)
+     */
+    getOpportunityAttackers(character) {
+        return this.getEngagingEnemies(character).filter(enemy =>
+            this.combatSystem.isInAttackRange(enemy, character.hexQ, character.hexR)
+        );
+    }
+
+    /**
+     * Move speed for a MOVE/FLEE action, counting the terrain of the hex being moved onto
+     */
+    getMoveSpeed(character, action) {
+        const terrainKey = action?.target ? this.combatSystem.getTerrainAt(action.target) : null;
+        return calculateMoveSpeed(character, terrainKey);
+    }
+
+    /**
+     * Condition and destination terrain terms for the move speed tooltip (e.g. " + hobbled(10) + mud(6)", " - road(3)")
+     */
+    buildMoveConditionTip(character, target = null) {
+        let tip = '';
+        for (const instance of character.conditions?.values() || []) {
+            const conditionMod = CONDITIONS[instance.key]?.modifiers?.moveSpeed;
+            if (conditionMod) tip += ` + ${instance.key}(${conditionMod})`;
+        }
+        const terrainKey = target ? this.combatSystem.getTerrainAt(target) : null;
+        const terrainMod = TERRAIN_TYPES[terrainKey]?.moveSpeed;
+        if (terrainMod) tip += ` ${terrainMod < 0 ? '-' : '+'} ${terrainKey}(${Math.abs(terrainMod)})`;
+        return tip;
+    }
+
+    /**
+     * Move a character one hex, with real-time occupancy check
+     * onComplete runs after the move resolves (immediately if blocked)
+     */
+    executeMove(character, action, onComplete) {
+        // Check if target hex is occupied (collision detection) or the mover is locked in a grapple
         const characterAtTarget = this.getCharacterAtHex(action.target.q, action.target.r);
-        if (characterAtTarget) {
+        const grappleLocked = !!(character.grappledBy || character.grappling);
+        if (characterAtTarget || grappleLocked) {
             // Log blocked move with speed score + tooltip
-            const blockedSpeed = calculateMoveSpeed(character);
+            const blockedSpeed = this.getMoveSpeed(character, action);
             const bArmorKey = character.equipment.armor || 'none';
             const bArmor = ARMOR_TYPES[bArmorKey];
             const bTier = getSpeedTier(blockedSpeed).tier;
-            const bTip = `${bArmor.name} mobility(${bArmor.mobility}) - Str(${character.stats.str})`;
-            this.logger.combat(`{{char:${character.name}}}: Move {{blocked}} {{tip:${bTip}}}{{spd}}[${blockedSpeed} T${bTier}]{{/spd}}{{/tip}}`);
-            this.currentMoveIndex++;
-            this.executeNextMove();
+            const bTip = `${bArmor.name} mobility(${bArmor.mobility}) - Str(${character.stats.str})${this.buildMoveConditionTip(character, action.target)}`;
+            this.logger.combat(`{{char:${character.name}}}: Move {{blocked}}${grappleLocked ? ' {{grappled}}' : ''} {{tip:${bTip}}}{{spd}}[${blockedSpeed} T${bTier}]{{/spd}}{{/tip}}`);
+            onComplete();
             return;
         }
 
         // Clear player selection highlight when player starts moving
         if (this.onClearPlayerSelection) this.onClearPlayerSelection(character);
 
+        // Fleeing is running - it costs stamina (a plain one-hex MOVE is free)
+        if (action.action === 'flee') this.combatSystem.drainStamina(character, 'flee');
+
         // Log move action with speed score + tooltip
-        const moveSpeed = calculateMoveSpeed(character);
+        const moveSpeed = this.getMoveSpeed(character, action);
         const mArmorKey = character.equipment.armor || 'none';
         const mArmor = ARMOR_TYPES[mArmorKey];
         const mTier = getSpeedTier(moveSpeed).tier;
-        const mTip = `${mArmor.name} mobility(${mArmor.mobility}) - Str(${character.stats.str})`;
+        const mTip = `${mArmor.name} mobility(${mArmor.mobility}) - Str(${character.stats.str})${this.buildMoveConditionTip(character, action.target)}`;
         this.logger.combat(`{{char:${character.name}}}: Move {{tip:${mTip}}}{{spd}}[${moveSpeed} T${mTier}]{{/spd}}{{/tip}}`);
 
         // Execute move with callback
@@ -189,19 +340,123 @@ export class CombatExecutor {
             // Auto-face adjacent enemy after move
             this.autoFaceAdjacentEnemy(character);
 
+            onComplete();
+        });
+    }
+
+    /**
+     * Resolve a FLEE action: engaging enemies able to strike get a free light attack, then the character moves
+     * Breaking contact with every hostile marks the character as fled (out of combat)
+     */
+    executeFlee(character, action) {
+        const attackers = this.getOpportunityAttackers(character);
+        const attackerNames = attackers.map(e => `{{char:${e.name}}}`).join(', ');
+        this.logger.combat(`{{char:${character.name}}}: Flee${attackers.length > 0 ? ` - disengaging from ${attackerNames}` : ''}`);
+
+        const next = () => {
             this.currentMoveIndex++;
             this.executeNextMove();
+        };
+
+        this.executeFreeAttacks(attackers, character, 'disengage', () => {
+            if (character.isDefeated) {
+                next();
+                return;
+            }
+
+            this.executeMove(character, action, () => {
+                if (this.hasBrokenContact(character)) {
+                    character.hasFled = true;
+                    this.logger.combat(`{{char:${character.name}}} {{fled}} the fight`);
+                    if (this.onCharacterFled) this.onCharacterFled(character);
+                }
+                next();
+            });
         });
     }
 
     /**
-     * Execute all ATTACK actions after moves, sorted by speed
+     * Get living hostiles currently engaging the character (character is in their engagedBy set)
+     */
+    getEngagingEnemies(character) {
+        return this.executionQueue.filter(other =>
+            other !== character &&
+            !other.isDefeated &&
+            !other.hasFled &&
+            other.engagedBy?.has(character) &&
+            areHostile(other, character)
+        );
+    }
+
+    /**
+     * Check if no living hostile can strike the character where it now stands
+     */
+    hasBrokenContact(character) {
+        return !this.executionQueue.some(other =>
+            other !== character &&
+            !other.isDefeated &&
+            !other.hasFled &&
+            areHostile(other, character) &&
+            this.combatSystem.isInAttackRange(other, character.hexQ, character.hexR)
+        );
+    }
+
+    /**
+     * Resolve free light attacks against a target outside the action phase (e.g. on disengage)
+     * Each attacker plays a full windup/recovery; stops early if the target is defeated
+     * @param {Array} attackers - Characters granted a free attack
+     * @param {Object} target - Character being attacked
+     * @param {string} reaction - Reaction tag for the combat log (e.g. 'disengage')
+     * @param {Function} onComplete - Called once all free attacks have resolved
+     */
+    executeFreeAttacks(attackers, target, reaction, onComplete) {
+        const attackAt = (index) => {
+            if (index >= attackers.length || target.isDefeated) {
+                onComplete();
+                return;
+            }
+
+            const attacker = attackers[index];
+            if (attacker.isDefeated) {
+                attackAt(index + 1);
+                return;
+            }
+
+            // Face the target and play attack animation
+            const targetPixel = this.hexGrid.hexToPixel(target.hexQ, target.hexR);
+            this.movementSystem.updateFacing(attacker, targetPixel.x - attacker.pixelX, targetPixel.y - attacker.pixelY);
+            attacker.animationFrame = 0;
+            attacker.animationTimer = 0;
+            attacker.currentAnimation = 'attack';
+
+            setTimeout(() => {
+                const result = this.combatSystem.executeAttack(attacker, { q: target.hexQ, r: target.hexR }, 'light', { reaction });
+                if (!target.isDefeated) target.lastAttackedBy = attacker;
+                if (result.defenderDefeated) {
+                    this.handleCharacterDefeat(target);
+                }
+
+                setTimeout(() => {
+                    attacker.animationFrame = 0;
+                    attacker.animationTimer = 0;
+                    attacker.currentAnimation = 'idle';
+                    attackAt(index + 1);
+                }, this.attackRecoveryMs);
+            }, this.attackWindupMs);
+        };
+
+        attackAt(0);
+    }
+
+    /**
+     * Execute all ATTACK, SHOVE, GRAPPLE, USE, INTIMIDATE, TAUNT, ABILITY, CAST and timed SWAP actions after moves, sorted by speed
      */
     executeActionPhase() {
-        // Filter characters with ATTACK actions, sort by speed
+        // Filter characters with ATTACK/SHOVE/GRAPPLE/USE/INTIMIDATE/TAUNT/ABILITY/CAST/SWAP actions (instant swaps already resolved), sort by speed
         const attackers = this.executionQueue.filter(char => {
             const action = this.characterActions.get(char);
-            return action && action.action === 'attack';
+            if (action?.action === 'swap') return !action.instant;
+            return action && ['attack', 'shove', 'grapple', 'use', 'intimidate', 'taunt', 'ability', 'cast'].includes(action.action);
         });
         this.actionQueue = this.sortBySpeed(attackers, 'action', this.characterActions);
         this.currentActionIndex = 0;
@@ -233,6 +488,16 @@ export class CombatExecutor {
 
         const action = this.characterActions.get(character);
 
+        // Weapon swap - no target, no attack animation
+        if (action.action === 'swap') {
+            this.combatSystem.executeSwap(character);
+            setTimeout(() => {
+                this.currentActionIndex++;
+                this.executeNextAttack();
+            }, this.attackRecoveryMs);
+            return;
+        }
+
         // Get whoever is NOW at the target hex (may be different from original target!)
         // Attacks hit whoever is on the hex, even allies (accidents happen)
         const targetChar = this.getCharacterAtHex(action.target.q, action.target.r);
@@ -243,22 +508,68 @@ export class CombatExecutor {
         const dy = targetPixel.y - character.pixelY;
         this.movementSystem.updateFacing(character, dx, dy);
 
-        // Play attack animation - reset frame to 0 to fix intermittent wrong frame order
+        // Play attack animation (abilities play their own) - reset frame to 0 to fix intermittent wrong frame order
         character.animationFrame = 0;
         character.animationTimer = 0;
-        character.currentAnimation = 'attack';
+        character.currentAnimation = action.action === 'ability' ? ABILITIES[action.abilityKey].animation : 'attack';
 
         setTimeout(() => {
-            if (!targetChar) {
+            const heldCastTarget = action.action === 'cast' ? this.combatSystem.getHeldCastTarget(character, action.target, action.spellKey) : null;
+            if (!this.isActionInRange(character, action)) {
+                // Pushed away (shove, knockback) since choosing the action - the target hex is out of reach now
+                const actionName = action.action.charAt(0).toUpperCase() + action.action.slice(1);
+                this.logger.combat(`{{char:${character.name}}}: ${actionName} ({{whiff}}) - (${action.target.q}, ${action.target.r}) is out of reach`);
+            } else if (action.action === 'use' && !ITEMS[action.itemKey].thrown) {
+                // Healing/curing item on yourself or an ally - no hostility, no attack roll
+                this.combatSystem.executeUseItem(character, action.target, action.itemKey);
+            } else if (action.action === 'ability' && ABILITIES[action.abilityKey].target !== 'enemy') {
+                // Self, ally or burst ability - lands on whoever its shape covers
+                const result = this.combatSystem.executeAbility(character, action.target, action.abilityKey);
+                result.defeated.forEach(target => this.handleCharacterDefeat(target));
+            } else if (heldCastTarget) {
+                // Held in a grapple - the spell would catch someone other than the grappler
+                this.logger.combat(`{{char:${character.name}}} can't reach {{char:${heldCastTarget.name}}} - held by {{char:${character.grappledBy.name}}} {{grappled}}`);
+            } else if (action.action === 'cast') {
+                // Spells land on whoever their area covers - hostile ones make enemies of everyone caught (even on a resist)
+                const result = this.combatSystem.executeCast(character, action.target, action.spellKey);
+                if (SPELLS[action.spellKey].target !== 'ally') {
+                    for (const target of result.affected.filter(other => !other.isDefeated)) {
+                        target.lastAttackedBy = character;
+                        makeEnemies(character, target);
+                    }
+                }
+                result.defeated.forEach(target => this.handleCharacterDefeat(target));
+            } else if (!targetChar) {
                 // Auto-miss: no one at hex
             } else if (targetChar === character) {
                 // Can't hit yourself
             } else if (targetChar.isDefeated) {
                 // Target already dead
+            } else if (targetChar.hasSurrendered && !areHostile(character, targetChar)) {
+                // Surrendered - attacking would restart the fight, so the blow is held back
+                this.logger.combat(`{{char:${character.name}}} holds back - {{char:${targetChar.name}}} has surrendered`);
+            } else if (character.grappledBy && targetChar !== character.grappledBy) {
+                // Held in a grapple - can only fight the grappler
+                this.logger.combat(`{{char:${character.name}}} can't reach {{char:${targetChar.name}}} - held by {{char:${character.grappledBy.name}}} {{grappled}}`);
             } else {
-                // Execute attack - hits whoever is on the hex (ally or enemy!)
+                // Execute attack, shove, grapple, throw, intimidate, taunt or enemy ability - hits whoever is on the hex (ally or enemy!)
                 const attackType = action.attackType || 'light';
-                const result = this.combatSystem.executeAttack(character, action.target, attackType);
+                let result;
+                if (action.action === 'use') {
+                    result = this.combatSystem.executeThrow(character, action.target, action.itemKey);
+                } else if (action.action === 'shove') {
+                    result = this.combatSystem.executeShove(character, action.target);
+                } else if (action.action === 'grapple') {
+                    result = this.combatSystem.executeGrapple(character, action.target);
+                } else if (action.action === 'intimidate') {
+                    result = this.combatSystem.executeIntimidate(character, action.target);
+                } else if (action.action === 'taunt') {
+                    result = this.combatSystem.executeTaunt(character, action.target);
+                } else if (action.action === 'ability') {
+                    result = this.combatSystem.executeAbility(character, action.target, action.abilityKey);
+                } else {
+                    result = this.combatSystem.executeAttack(character, action.target, attackType, { calledShot: action.calledShot });
+                }
 
                 // Hostility trigger: target becomes hostile to attacker (even on miss!)
                 if (!targetChar.isDefeated) {
@@ -283,6 +594,30 @@ export class CombatExecutor {
         }, this.attackWindupMs);
     }
 
+    /**
+     * Check the action's target hex is still in range of where the character stands now
+     * A shove or knockback earlier in the phase can carry the character away from its chosen target
+     * Shoves and grapples need an adjacent hex, thrown items their maxRange, other items your own or an adjacent hex,
+     * intimidates and taunts PRESENCE.range, abilities and spells their range (self abilities go wherever the user is),
+     * attacks the main hand weapon's range (getAttackRange)
+     */
+    isActionInRange(character, action) {
+        const distance = this.hexGrid.hexDistance({ q: character.hexQ, r: character.hexR }, action.target);
+        if (action.action === 'shove' || action.action === 'grapple') return distance === 1;
+        if (action.action === 'intimidate' || action.action === 'taunt') return distance <= PRESENCE.range;
+        if (action.action === 'ability') {
+            const ability = ABILITIES[action.abilityKey];
+            return ability.target === 'self' || distance <= ability.range;
+        }
+        if (action.action === 'cast') return distance <= SPELLS[action.spellKey].range;
+        if (action.action === 'use') {
+            const { thrown } = ITEMS[action.itemKey];
+            return thrown ? distance <= thrown.maxRange : distance <= 1;
+        }
+        const { minRange, maxRange } = getAttackRange(character.equipment.mainHand);
+        return distance >= minRange && distance <= maxRange;
+    }
+
     /**
      * Auto-face adjacent enemy after movement
      * Finds first adjacent enemy and faces toward them
@@ -1,10 +1,24 @@
 import { GAME_STATES } from './GameStateManager.js';
 import { rotateFacing } from './const.js';
 
+// Targeting modes and the GameStateManager selector a click goes to while each is active
+// attack (1/2), flee (4), shove (5), grapple (6), use (7 or the inventory panel), intimidate (9), taunt (0), ability (Q), cast (M)
+const MODE_SELECTORS = {
+    attack: 'selectPlayerAttackTarget',
+    flee: 'selectPlayerFleeTarget',
+    shove: 'selectPlayerShoveTarget',
+    grapple: 'selectPlayerGrappleTarget',
+    use: 'selectPlayerUseTarget',
+    intimidate: 'selectPlayerIntimidateTarget',
+    taunt: 'selectPlayerTauntTarget',
+    ability: 'selectPlayerAbilityTarget',
+    cast: 'selectPlayerCastTarget',
+};
+
 export class CombatInputHandler {
     constructor() {
-        // Combat attack mode (when player presses 1 or 2 for light/heavy attack)
-        this.attackModeActive = false;
+        // Targeting mode picked by a key - the next click goes to its selector (see MODE_SELECTORS), null = move
+        this.activeMode = null;
 
         // Dependencies (injected)
         this.game = null;
@@ -22,17 +36,16 @@ export class CombatInputHandler {
 
     /**
      * Handle mouse click during combat input phase.
-     * If attackModeActive: select attack target, reset on success.
+     * With a targeting mode active: pass the hex to the mode's selector, back to move mode on success.
      * Otherwise: select move target.
      * @param {{q: number, r: number}} targetHex
      * @returns {boolean} true if handled
      */
     handleCombatClick(targetHex) {
-        if (this.attackModeActive) {
-            // Attack mode: click adjacent hex to attack it
-            const success = this.gameStateManager.selectPlayerAttackTarget(targetHex.q, targetHex.r);
+        if (this.activeMode) {
+            const success = this.gameStateManager[MODE_SELECTORS[this.activeMode]](targetHex.q, targetHex.r);
             if (success) {
-                this.attackModeActive = false;  // Reset after successful attack selection
+                this.activeMode = null;  // Reset after successful target selection
             }
         } else {
             // Move mode: click adjacent hex to move to it
@@ -41,9 +54,16 @@ export class CombatInputHandler {
         return true;
     }
 
+    /**
+     * Activate use mode for the selected item (key 7, or Use in the inventory panel)
+     */
+    activateUseMode() {
+        this.activeMode = 'use';
+    }
+
     /**
      * Handle keydown during combat input phase.
-     * Processes: Space (skip), Arrow keys (facing), 1/2 (attack type), Enter (repeat).
+     * Processes: Space (skip), Arrow keys (facing), 1/2 (attack type), 3 (defend), 4 (flee), 5 (shove), 6 (grapple), 7 (use item), 9 (intimidate), 0 (taunt), Q (ability), M (cast spell), X (swap weapons), C (called shot), Enter (repeat).
      * @param {KeyboardEvent} e
      * @returns {boolean} true if event was consumed
      */
@@ -75,7 +95,7 @@ export class CombatInputHandler {
         if (e.key === '1') {
             e.preventDefault();
             this.gameStateManager.setPlayerAttackType('light');
-            this.attackModeActive = true;
+            this.activeMode = 'attack';
             return true;
         }
 
@@ -83,7 +103,94 @@ export class CombatInputHandler {
         if (e.key === '2') {
             e.preventDefault();
             this.gameStateManager.setPlayerAttackType('heavy');
-            this.attackModeActive = true;
+            this.activeMode = 'attack';
+            return true;
+        }
+
+        // Key '3': defend this round
+        if (e.key === '3') {
+            e.preventDefault();
+            const success = this.gameStateManager.selectPlayerDefend();
+            if (success) {
+                this.activeMode = null;
+            }
+            return true;
+        }
+
+        // Key '4': activate flee mode (click adjacent hex to flee to)
+        if (e.key === '4') {
+            e.preventDefault();
+            this.activeMode = 'flee';
+            return true;
+        }
+
+        // Key '5': activate shove mode (click adjacent enemy to shove)
+        if (e.key === '5') {
+            e.preventDefault();
+            this.activeMode = 'shove';
+            return true;
+        }
+
+        // Key '6': activate grapple mode (click adjacent enemy to grapple, unarmed only)
+        if (e.key === '6') {
+            e.preventDefault();
+            this.activeMode = 'grapple';
+            return true;
+        }
+
+        // Key '7': cycle the item to use and activate use mode (click yourself, an adjacent ally, or an enemy to throw at)
+        if (e.key === '7') {
+            e.preventDefault();
+            if (this.gameStateManager.cyclePlayerUseItem()) this.activateUseMode();
+            return true;
+        }
+
+        // Key '9': activate intimidate mode (click an enemy within presence range)
+        if (e.key === '9') {
+            e.preventDefault();
+            this.activeMode = 'intimidate';
+            return true;
+        }
+
+        // Key '0': activate taunt mode (click an enemy within presence range)
+        if (e.key === '0') {
+            e.preventDefault();
+            this.activeMode = 'taunt';
+            return true;
+        }
+
+        // Key 'Q': cycle the ability to use and activate ability mode (click a target, or yourself for self abilities)
+        if (e.key === 'q' || e.key === 'Q') {
+            e.preventDefault();
+            if (this.gameStateManager.cyclePlayerAbility()) {
+                this.activeMode = 'ability';
+            }
+            return true;
+        }
+
+        // Key 'M': cycle the spell to cast and activate cast mode (click a target, or a hex for area spells)
+        if (e.key === 'm' || e.key === 'M') {
+            e.preventDefault();
+            if (this.gameStateManager.cyclePlayerSpell()) {
+                this.activeMode = 'cast';
+            }
+            return true;
+        }
+
+        // Key 'X': swap to the secondary weapon set this round
+        if (e.key === 'x' || e.key === 'X') {
+            e.preventDefault();
+            const success = this.gameStateManager.selectPlayerSwap();
+            if (success) {
+                this.activeMode = null;
+            }
+            return true;
+        }
+
+        // Key 'C': cycle called shot location (applies to the next attacks until changed)
+        if (e.key === 'c' || e.key === 'C') {
+            e.preventDefault();
+            this.gameStateManager.cyclePlayerCalledShot();
             return true;
         }
 
@@ -92,7 +199,7 @@ export class CombatInputHandler {
             e.preventDefault();
             const success = this.gameStateManager.repeatLastAttack();
             if (success) {
-                this.attackModeActive = false;
+                this.activeMode = null;
             }
             return true;
         }
@@ -1,8 +1,8 @@
-import { FACTIONS, GAME_CONSTANTS, ARMOR_TYPES, WEAPONS, COMBAT_TAGS, WRAPPER_TAGS } from "./const.js";
+import { FACTIONS, GAME_CONSTANTS, ARMOR_TYPES, WEAPONS, SPELLS, SPELL_SCHOOLS, COMBAT_TAGS, WRAPPER_TAGS } from "./const.js";
 
 /**
  * CombatLogFormatter - Formats combat log entries with rich HTML
- * Handles all tag replacement (combat, wrapper, character, tooltip, armor, weapon)
+ * Handles all tag replacement (combat, wrapper, character, tooltip, armor, weapon, spell)
  * and produces final HTML strings for display in the combat log UI.
  */
 export class CombatLogFormatter {
@@ -193,6 +193,36 @@ export class CombatLogFormatter {
 		return text;
 	}
 
+	/**
+	 * Replace spell tokens with hoverable spell name + styled tooltip
+	 * Format: {{spell:key}} -> <span class="log-spell">Arcane Bolt<span class="spell-tooltip">...</span></span>
+	 */
+	replaceSpellTokens(text) {
+		const pattern = '{{spell:';
+		const closeToken = '}}';
+
+		while (text.includes(pattern)) {
+			const startIdx = text.indexOf(pattern);
+			const endIdx = text.indexOf(closeToken, startIdx + pattern.length);
+			if (endIdx === -1) break;
+
+			const spellKey = text.substring(startIdx + pattern.length, endIdx);
+			const spell = SPELLS[spellKey];
+
+			if (!spell) {
+				text = text.substring(0, startIdx) + spellKey + text.substring(endIdx + closeToken.length);
+				continue;
+			}
+
+			const area = spell.area.type === 'burst' ? `burst ${spell.area.radius}` : spell.area.type;
+			const tooltipHTML = `<span class="spell-tooltip">${SPELL_SCHOOLS[spell.school].name} | Mana: ${spell.mana} | Range: ${spell.range} | Area: ${area}</span>`;
+			const formatted = `<span class="log-spell">${spell.name}${tooltipHTML}</span>`;
+
+			text = text.substring(0, startIdx) + formatted + text.substring(endIdx + closeToken.length);
+		}
+		return text;
+	}
+
 	/**
 	 * Format a single log entry with color coding and styling
 	 */
@@ -213,16 +243,19 @@ export class CombatLogFormatter {
 		// 3. Replace weapon tokens ({{weapon:key}}) - before other tags so tooltip HTML isn't mangled
 		html = this.replaceWeaponTokens(html);
 
-		// 4. Replace simple semantic tokens ({{critical}}, {{hit}}, etc.)
+		// 4. Replace spell tokens ({{spell:key}}) - before other tags so tooltip HTML isn't mangled
+		html = this.replaceSpellTokens(html);
+
+		// 5. Replace simple semantic tokens ({{critical}}, {{hit}}, etc.)
 		html = this.replaceCombatTags(html);
 
-		// 3. Replace wrapper tokens ({{buf}}...{{/buf}}, {{dmg}}...{{/dmg}}, etc.)
+		// 6. Replace wrapper tokens ({{buf}}...{{/buf}}, {{dmg}}...{{/dmg}}, etc.)
 		html = this.replaceWrapperTags(html);
 
-		// 4. Replace character name tokens ({{char:Name}})
+		// 7. Replace character name tokens ({{char:Name}})
 		html = this.replaceCharacterTokens(html);
 
-		// 5. Check if this is a turn separator
+		// 8. Check if this is a turn separator
 		const isSeparator = html.includes('===') || html.includes('---');
 		const cssClass = isSeparator ? 'log-entry log-turn-separator' : 'log-entry';
 
@@ -1,74 +1,115 @@
-import { calculateDamage, calculateAttackRating, calculateDefenseRating, calculateCSC, getEquipmentBonus, calculateActionSpeed, getSpeedTier, WEAPONS, ARMOR_TYPES, ATTACK_TYPES, STAT_BONUSES, DAMAGE_TYPE_PROPERTIES, isFlanking, getFacingFromDelta } from './const.js';
+import { calculateDamage, calculateAttackRating, calculateDefenseRating, calculateCSC, getEquipmentBonus, calculateActionSpeed, getActionSpeedMod, calculateSwapSpeed, getSwappedEquipment, isInstantSwap, swapWeaponSets, getSpeedTier, WEAPONS, ARMOR_TYPES, ATTACK_TYPES, STAT_BONUSES, DAMAGE_TYPE_PROPERTIES, CONDITIONS, ARMOR_WEAR, getEffectiveArmorDefense, calculateBlockChance, SHIELD_BLOCK, HIT_LOCATIONS, canAffordStamina, spendStamina, isExhausted, getExhaustionModifier, RANGED_COMBAT, REACH_COMBAT, KNOCKBACK, SHOVE, SKILL_PROGRESSION, ITEMS, ABILITIES, SPELLS, TERRAIN_TYPES, getAttackRange, isFlanking, isInFrontArc, getFacingFromDelta, hexKey } from './const.js';
 
 export class CombatSystem {
-    constructor(hexGrid, getCharacterAtHex, gameStateManager, logger) {
+    constructor(hexGrid, getCharacterAtHex, gameStateManager, logger, random) {
         this.hexGrid = hexGrid;
         this.getCharacterAtHex = getCharacterAtHex;
         this.gameStateManager = gameStateManager;
         this.logger = logger;
+        this.random = random; // Seedable RNG - every combat roll goes through this
     }
 
     /**
      * Execute attack on a target hex — pipeline orchestrator
+     * options.reaction tags free attacks outside the action phase (e.g. 'disengage')
+     * options.calledShot aims at a HIT_LOCATIONS key, trading THC for the chosen location
      *
      * Pipeline stages:
-     *  1. Face target (getFacingFromDelta)
-     *  2. Lookup defender → handleWhiff() if empty
-     *  3. Format attack name (formatAttackTypeName)
-     *  4. Check friendly fire
-     *  5. Resolve hit roll (resolveHitRoll) → handleMiss() if miss
-     *  6. Get weapon/armor
-     *  7. Calculate base damage (calculateDamage)
-     *  8. Apply resistance modifier (applyResistanceModifier)
-     *  9. Calculate flanking and DR (calculateFlankingAndDR)
-     * 10. Apply crit modifier (applyCritModifier)
-     * 11. Build and emit combat log (buildDamageBreakdown, buildCombatLogLines)
-     * 12. Apply damage through buffer (applyDamage)
-     * 13. Log damage application (logDamageApplication)
-     * 14. Return hit result (handleHitResult)
-     */
-    executeAttack(attacker, targetHex, attackType = 'light') {
+     *  1. Face target (getFacingFromDelta), spend stamina for a heavy attack (drainStamina)
+     *  2. Ranged only: spend ammo, trace line of sight (resolveRangedShot) → handleBlockedShot() if blocked
+     *  3. Lookup defender → handleWhiff() if empty
+     *  4. Format attack name (formatAttackTypeName), measure reach weapon distance (resolveReach)
+     *  5. Check friendly fire
+     *  6. Resolve hit roll (resolveHitRoll, with range/cover/crowded reach/called shot modifier) → handleMiss() if miss
+     *  7. Get weapon/armor
+     *  8. Calculate base damage (calculateDamage)
+     *  9. Apply resistance modifier (applyResistanceModifier)
+     * 10. Roll hit location and apply its damage multiplier (resolveHitLocation)
+     * 11. Calculate flanking and DR, scaled by the location's armor coverage (calculateFlankingAndDR)
+     * 12. Apply crit modifier (applyCritModifier)
+     * 13. Roll shield block (resolveShieldBlock)
+     * 14. Build and emit combat log (buildDamageBreakdown, buildCombatLogLines)
+     * 15. Apply damage through buffer (applyDamage)
+     * 16. Log damage application (logDamageApplication)
+     * 17. Apply on-hit and hit location conditions (conditionManager.applyOnHitEffects, applyLocationEffect), roll a lasting injury on a severe hit (injuryManager.rollInjury) unless defender is down or the shield took it all
+     * 18. Knock back on a heavy hit with enough force (resolveKnockback) unless defender is down or the shield took it all
+     * 19. Wear down defender's armor (applyArmorWear) unless the shield took it all
+     * 20. Train skills from use (progressionManager.recordHit) unless friendly fire
+     * 21. Return hit result (handleHitResult)
+     */
+    executeAttack(attacker, targetHex, attackType = 'light', options = {}) {
+        const reaction = options.reaction || null;
+        const calledShot = HIT_LOCATIONS[options.calledShot] ? options.calledShot : null;
         // 1. Face target
         const tPx = this.hexGrid.hexToPixel(targetHex.q, targetHex.r);
         const aPx = this.hexGrid.hexToPixel(attacker.hexQ, attacker.hexR);
         attacker.facing = getFacingFromDelta(tPx.x - aPx.x, tPx.y - aPx.y);
-        // 2. Lookup defender → whiff if empty
-        const defender = this.getCharacterAtHex(targetHex.q, targetHex.r);
+        if (attackType === 'heavy') this.drainStamina(attacker, 'heavyAttack');
         const weaponKey = attacker.equipment.mainHand;
+        // 2. Ranged: spend ammo, check line of sight → blocked shot if no LOS
+        const shot = WEAPONS[weaponKey].ranged ? this.resolveRangedShot(attacker, targetHex, weaponKey) : null;
+        if (shot?.blocked) return this.handleBlockedShot(attacker, targetHex, weaponKey, attackType);
+        // 3. Lookup defender → whiff if empty
+        const defender = this.getCharacterAtHex(targetHex.q, targetHex.r);
         if (!defender) return this.handleWhiff(attacker, targetHex, weaponKey, attackType);
-        // 3. Format attack name  4. Check friendly fire
-        const attackTypeName = this.formatAttackTypeName(weaponKey, attackType);
+        // 4. Format attack name, measure reach  5. Check friendly fire
+        let attackTypeName = this.formatAttackTypeName(weaponKey, attackType);
+        if (shot) attackTypeName += ` at range ${shot.distance}${shot.cover > 0 ? ' {{cover}}' : ''}`;
+        const reach = WEAPONS[weaponKey].reach ? this.resolveReach(attacker, targetHex) : null;
+        if (reach) attackTypeName += reach.crowded ? ' {{crowded}}' : ` at reach ${reach.distance}`;
+        if (calledShot) attackTypeName += ` (called shot: ${HIT_LOCATIONS[calledShot].name.toLowerCase()})`;
         const friendlyFire = defender.faction === attacker.faction;
         if (friendlyFire) this.logger.warn(`[FRIENDLY FIRE WARNING] ${attacker.name} attacks ally ${defender.name}!`);
-        // 5. Resolve hit roll → miss if failed
-        const { hit, thcPercent, rollPercent } = this.resolveHitRoll(attacker, defender);
-        if (!hit) return this.handleMiss(attacker, defender, attackTypeName, { thcPercent, rollPercent }, attackType);
-        // 6. Get weapon and armor  7. Calculate base damage
+        // 6. Resolve hit roll → miss if failed
+        const thcModifier = (shot?.thcModifier || 0) + (reach?.thcModifier || 0) - (calledShot ? HIT_LOCATIONS[calledShot].calledShotPenalty : 0);
+        const { hit, thcPercent, rollPercent } = this.resolveHitRoll(attacker, defender, thcModifier);
+        if (!hit) return this.handleMiss(attacker, defender, attackTypeName, { thcPercent, rollPercent }, attackType, reaction);
+        // 7. Get weapon and armor  8. Calculate base damage
         const weapon = WEAPONS[weaponKey];
         const armor = ARMOR_TYPES[defender.equipment.armor || "none"];
         let damage = calculateDamage(attacker.stats, weaponKey, attackType);
         const baseDamage = damage;
-        // 8. Apply resistance/vulnerability
+        // 9. Apply resistance/vulnerability
         let resistMod;
         ({ damage, resistMod } = this.applyResistanceModifier(damage, weapon, armor, attackType));
         const damageAfterResist = damage;
-        // 9. Calculate flanking and DR
+        // 10. Roll hit location
+        let location;
+        ({ location, damage } = this.resolveHitLocation(damage, calledShot));
+        // 11. Calculate flanking and DR
         let flanking, effectiveDR, drAbsorbed;
-        ({ flanking, effectiveDR, drAbsorbed, damage } = this.calculateFlankingAndDR(attacker, defender, damage, armor));
+        ({ flanking, effectiveDR, drAbsorbed, damage } = this.calculateFlankingAndDR(attacker, defender, damage, armor, location.key));
         const damageAfterDR = damage;
-        // 10. Apply crit modifier
+        // 12. Apply crit modifier
         let crit, cscPercent, cscRollPercent;
         ({ crit, cscPercent, cscRollPercent, damage } = this.applyCritModifier(attacker, defender, damage));
+        const damageAfterCrit = damage;
+        // 13. Roll shield block
+        let block;
+        ({ block, damage } = this.resolveShieldBlock(attacker, defender, damage));
         const finalDamage = damage;
-        // 11. Build and emit combat log
-        const breakdown = this.buildDamageBreakdown(attacker, attackType, weapon, armor, baseDamage, damageAfterResist, resistMod, effectiveDR, flanking, drAbsorbed, damageAfterDR, crit, finalDamage, defender);
+        // 14. Build and emit combat log
+        const breakdown = this.buildDamageBreakdown(attacker, attackType, weapon, armor, baseDamage, damageAfterResist, resistMod, effectiveDR, flanking, drAbsorbed, damageAfterDR, crit, damageAfterCrit, defender, block, finalDamage, location);
         const actionSpeed = calculateActionSpeed(attacker, attackType);
         const spdTip = this.buildActionSpeedTip(attacker, attackType);
-        this.buildCombatLogLines(attacker, defender, attackTypeName, thcPercent, rollPercent, crit, flanking, friendlyFire, cscPercent, cscRollPercent, breakdown, actionSpeed, spdTip).forEach(line => this.logger.combat(line));
-        // 12. Apply damage through buffer  13. Log damage application
+        this.buildCombatLogLines(attacker, defender, attackTypeName, thcPercent, rollPercent, crit, flanking, friendlyFire, cscPercent, cscRollPercent, breakdown, actionSpeed, spdTip, reaction).forEach(line => this.logger.combat(line));
+        // 15. Apply damage through buffer  16. Log damage application
         const damageResult = this.applyDamage(attacker, defender, damage);
         this.logDamageApplication(defender, attacker, damageResult);
-        // 14. Return hit result
+        // 17. Apply on-hit and hit location conditions, roll injury (a defeated defender has nothing left to suffer)
+        const shieldTookAll = block?.negated || false;
+        if (defender.health > 0 && !shieldTookAll) {
+            this.conditionManager.applyOnHitEffects(attacker, defender, weapon, finalDamage);
+            this.conditionManager.applyLocationEffect(attacker, defender, location.key, finalDamage);
+            if (finalDamage > 0) this.injuryManager.rollInjury(defender, location.key, crit);
+        }
+        // 18. Knock back (heavy hits only)
+        if (attackType === 'heavy' && defender.health > 0 && !shieldTookAll) this.resolveKnockback(attacker, defender, weapon);
+        // 19. Wear down defender's armor (the shield caught a negated hit)
+        if (!shieldTookAll) this.applyArmorWear(attacker, defender, weapon, attackType);
+        // 20. Train skills from use (no practice on allies)
+        if (!friendlyFire) this.progressionManager.recordHit(attacker, defender, weaponKey, { crit, blocked: !!block });
+        // 21. Return hit result
         return this.handleHitResult(attacker, defender, finalDamage, crit, flanking);
     }
 
@@ -76,11 +117,11 @@ export class CombatSystem {
      * Apply damage through buffer first, then to health
      * Buffer is per-attacker: each attacker must deplete it individually
      * Some damage types (e.g., concussive) bypass buffer entirely
+     * damageType defaults to the attacker's main hand weapon (knockback collisions and thrown items pass their own)
      */
-    applyDamage(attacker, defender, damage) {
+    applyDamage(attacker, defender, damage, damageType = WEAPONS[attacker.equipment.mainHand].type) {
         // Check if damage type bypasses buffer
-        const weapon = WEAPONS[attacker.equipment.mainHand];
-        const typeProps = DAMAGE_TYPE_PROPERTIES[weapon.type] || {};
+        const typeProps = DAMAGE_TYPE_PROPERTIES[damageType] || {};
         const bypassBuffer = typeProps.bypassBuffer || false;
 
         const defenderPos = `${defender.name}@(${defender.hexQ},${defender.hexR})`;
@@ -92,7 +133,7 @@ export class CombatSystem {
         if (bypassBuffer) {
             // Bypass buffer entirely - all damage goes to health
             healthDamage = damage;
-            this.logger.debug(`[BUFFER BYPASS] ${defenderPos} vs ${attacker.name}: ${weapon.type} damage bypasses buffer`);
+            this.logger.debug(`[BUFFER BYPASS] ${defenderPos} vs ${attacker.name}: ${damageType} damage bypasses buffer`);
         } else {
             // Normal buffer logic
             // Initialize buffer for this attacker if not set
@@ -136,19 +177,21 @@ export class CombatSystem {
 
     /**
      * Resolve hit roll: calculate THC from ratings and roll d100
+     * thcModifier carries situational adjustments (e.g. ranged range/cover penalties)
+     * Terrain counts on both sides: the attacker's hex attackR and the defender's hex defenseR (TERRAIN_TYPES)
      * Pure calculation — no side effects, no logging
      * Returns { hit, thc, thcRoll, thcPercent, rollPercent }
      */
-    resolveHitRoll(attacker, defender) {
-        const attackRating = calculateAttackRating(attacker);
-        const defenseRating = calculateDefenseRating(defender);
+    resolveHitRoll(attacker, defender, thcModifier = 0) {
+        const attackRating = calculateAttackRating(attacker) + this.getTerrainModifier(attacker, 'attackR');
+        const defenseRating = calculateDefenseRating(defender) + this.getTerrainModifier(defender, 'defenseR');
 
         // Calculate to-hit chance as integer percentage (0-100%)
         const evasionBonus = getEquipmentBonus(defender, 'evasionBonus');
-        const thc = Math.max(0, Math.min(100, attackRating - defenseRating + (50 - evasionBonus)));
+        const thc = Math.max(0, Math.min(100, attackRating - defenseRating + (50 - evasionBonus) + thcModifier));
 
         // Roll d100 (1-100), hit if roll <= THC
-        const thcRoll = Math.floor(Math.random() * 100) + 1;
+        const thcRoll = this.random.d100();
         // Display inverted so "roll high = good" for player readability
         const thcPercent = 100 - thc;
         const rollPercent = 101 - thcRoll;
@@ -158,25 +201,87 @@ export class CombatSystem {
     }
 
     /**
-     * Calculate flanking status and apply DR (flat damage reduction)
+     * Fire a ranged shot: spend one ammo, trace line of sight, and compute THC penalties
+     * Range penalty applies per hex beyond the first; each standing character in the way is cover
+     * Returns { blocked, distance, cover, thcModifier }
+     */
+    resolveRangedShot(attacker, targetHex, weaponKey) {
+        const ranged = WEAPONS[weaponKey].ranged;
+        attacker.ammo[weaponKey] = Math.max(0, (attacker.ammo[weaponKey] || 0) - 1);
+
+        const attackerHex = { q: attacker.hexQ, r: attacker.hexR };
+        const distance = this.hexGrid.hexDistance(attackerHex, targetHex);
+        const { clear, cover } = this.checkLineOfSight(attackerHex, targetHex);
+        const thcModifier = -((ranged.rangePenalty * (distance - 1)) + (cover * RANGED_COMBAT.coverPenalty));
+
+        this.logger.debug(`[RANGED] ${attacker.name} → (${targetHex.q},${targetHex.r}) dist=${distance} cover=${cover} clear=${clear} thcMod=${thcModifier} ammo=${attacker.ammo[weaponKey]}`);
+        return { blocked: !clear, distance, cover, thcModifier };
+    }
+
+    /**
+     * Measure a reach weapon attack: striking from beyond an adjacent hex is free,
+     * an enemy that has closed to adjacency crowds the polearm (REACH_COMBAT.closePenalty)
+     * Returns { distance, crowded, thcModifier }
+     */
+    resolveReach(attacker, targetHex) {
+        const distance = this.hexGrid.hexDistance({ q: attacker.hexQ, r: attacker.hexR }, targetHex);
+        const crowded = distance <= 1;
+        const thcModifier = crowded ? -REACH_COMBAT.closePenalty : 0;
+        this.logger.debug(`[REACH] ${attacker.name} → (${targetHex.q},${targetHex.r}) dist=${distance} thcMod=${thcModifier}`);
+        return { distance, crowded, thcModifier };
+    }
+
+    /**
+     * Trace a hex line between two hexes (endpoints excluded)
+     * Area blocked hexes stop the shot; standing characters provide cover
+     * Returns { clear, cover }
+     */
+    checkLineOfSight(fromHex, toHex) {
+        const between = this.hexGrid.getLine(fromHex, toHex).slice(1, -1);
+        let cover = 0;
+        for (const hex of between) {
+            if (this.pathfinding.blockedHexes.has(hexKey(hex.q, hex.r))) {
+                return { clear: false, cover };
+            }
+            const occupant = this.getCharacterAtHex(hex.q, hex.r);
+            if (occupant && !occupant.isDefeated) cover++;
+        }
+        return { clear: true, cover };
+    }
+
+    /**
+     * Calculate flanking status and apply DR (flat damage reduction, scaled by the hit location's armor coverage)
      * Side-effect-free (read-only queries on gameStateManager and hexGrid)
      * Returns { flanking, behindDefender, cannotEngageBack, effectiveDR, drAbsorbed, damage: damageAfterDR }
      */
-    calculateFlankingAndDR(attacker, defender, damage, armor) {
-        // Check flanking (attacker behind defender OR defender over-engaged)
+    calculateFlankingAndDR(attacker, defender, damage, armor, location = 'torso') {
+        // Check flanking (attacker behind defender OR defender over-engaged, unless defending against the front arc)
         const behindDefender = isFlanking(
             { q: attacker.hexQ, r: attacker.hexR },
             { q: defender.hexQ, r: defender.hexR },
             defender.facing,
             this.hexGrid
         );
-        const cannotEngageBack = !this.engagementManager.canEngageBack(defender, attacker);
-        const flanking = behindDefender || cannotEngageBack;
+        // Ranged attackers and reach attacks from beyond adjacency aren't engaged, so only attacks from behind flank them
+        const isRanged = !!WEAPONS[attacker.equipment.mainHand]?.ranged;
+        const atReach = this.hexGrid.hexDistance({ q: attacker.hexQ, r: attacker.hexR }, { q: defender.hexQ, r: defender.hexR }) > 1;
+        const cannotEngageBack = !isRanged && !atReach && !this.engagementManager.canEngageBack(defender, attacker);
+        // A defending character cannot be over-engaged from the front arc
+        const frontArcDefended = defender.isDefending && isInFrontArc(
+            { q: attacker.hexQ, r: attacker.hexR },
+            { q: defender.hexQ, r: defender.hexR },
+            defender.facing,
+            this.hexGrid
+        );
+        // A grappled defender can't turn to face anyone but its grappler
+        const heldByOther = !!defender.grappledBy && defender.grappledBy !== attacker;
+        const flanking = behindDefender || heldByOther || (cannotEngageBack && !frontArcDefended);
 
-        // Calculate effective DR (modified by flanking)
-        let effectiveDR = armor.defense;
+        // Calculate effective DR (scaled by armor durability and location coverage, then modified by flanking)
+        const armorDefense = Math.floor(getEffectiveArmorDefense(armor, defender.armorInstance) * HIT_LOCATIONS[location].armorCoverage);
+        let effectiveDR = armorDefense;
         if (flanking) {
-            effectiveDR = Math.floor(armor.defense * armor.flankingDefense);
+            effectiveDR = Math.floor(armorDefense * armor.flankingDefense);
         }
 
         // Apply DR (flat reduction, before crit)
@@ -194,7 +299,7 @@ export class CombatSystem {
     applyCritModifier(attacker, defender, damage) {
         // Roll d100 for critical hit (CSC is integer percentage 0-100%)
         const csc = calculateCSC(attacker, defender);
-        const cscRoll = Math.floor(Math.random() * 100) + 1;
+        const cscRoll = this.random.d100();
         const crit = cscRoll <= csc;
         // Display inverted so "roll high = good" for player readability (same as THC)
         const cscPercent = 100 - csc;
@@ -214,6 +319,514 @@ export class CombatSystem {
         return { crit, csc, cscRoll, cscPercent, cscRollPercent, damage };
     }
 
+    /**
+     * Spend stamina for an action (STAMINA.cost) and announce when the character becomes exhausted
+     */
+    drainStamina(character, action) {
+        const wasExhausted = isExhausted(character);
+        const spent = spendStamina(character, action);
+        this.logger.debug(`[STAMINA] ${character.name} ${action} -${spent} (${character.stamina}/${character.maxStamina})`);
+        if (!wasExhausted && isExhausted(character)) {
+            this.logger.combat(`{{char:${character.name}}} is {{exhausted}}`);
+        }
+    }
+
+    /**
+     * TERRAIN_TYPES key of a hex, or null for plain ground
+     */
+    getTerrainAt(hex) {
+        return this.pathfinding.getTerrainAt(hex.q, hex.r);
+    }
+
+    /**
+     * Flat modifier (attackR, defenseR, footing) from the terrain under a character
+     */
+    getTerrainModifier(character, modifierName) {
+        return TERRAIN_TYPES[this.getTerrainAt({ q: character.hexQ, r: character.hexR })]?.[modifierName] || 0;
+    }
+
+    /**
+     * Knock the defender back after a heavy hit whose damage type is in KNOCKBACK.damageTypes,
+     * when the weapon's force (x KNOCKBACK.forceMultiplier) matches or beats the defender's str + con + terrain footing
+     * Returns the push result, or null if the defender stood firm
+     */
+    resolveKnockback(attacker, defender, weapon) {
+        if (!KNOCKBACK.damageTypes.includes(weapon.type)) return null;
+        const power = weapon.force * KNOCKBACK.forceMultiplier;
+        const stability = defender.stats.str + defender.stats.con + this.getTerrainModifier(defender, 'footing');
+        this.logger.debug(`[KNOCKBACK] ${attacker.name} → ${defender.name} power=${power} stability=${stability}`);
+        if (power < stability) return null;
+        return this.pushCharacter(attacker, defender);
+    }
+
+    /**
+     * Push an adjacent character one hex directly away from the pusher (knockback and shove)
+     * Blocked terrain or another character (bodies included) stops the push: the target slams into it
+     * for KNOCKBACK.collisionDamage concussive damage (applyDamage - it bypasses the buffer)
+     * A completed push breaks any grapple the target is in, updates engagement and invalidates cached paths
+     * Returns { moved, collisionDamage }
+     */
+    pushCharacter(pusher, target) {
+        const dq = target.hexQ - pusher.hexQ;
+        const dr = target.hexR - pusher.hexR;
+        if (this.hexGrid.hexDistance({ q: 0, r: 0 }, { q: dq, r: dr }) !== 1) return { moved: false, collisionDamage: 0 };
+
+        const destination = { q: target.hexQ + dq, r: target.hexR + dr };
+        const occupant = this.getCharacterAtHex(destination.q, destination.r);
+        if (occupant || this.pathfinding.blockedHexes.has(hexKey(destination.q, destination.r))) {
+            const obstacle = occupant ? `{{char:${occupant.name}}}` : 'an obstacle';
+            this.logger.combat(`    → {{char:${target.name}}} is {{knockedBack}} into ${obstacle}`);
+            const damageResult = this.applyDamage(pusher, target, KNOCKBACK.collisionDamage, 'concussive');
+            this.logDamageApplication(target, pusher, damageResult);
+            return { moved: false, collisionDamage: damageResult.healthDamage };
+        }
+
+        const from = `(${target.hexQ},${target.hexR})`;
+        this.grappleManager.release(target);
+        target.hexQ = destination.q;
+        target.hexR = destination.r;
+        const pixel = this.hexGrid.hexToPixel(destination.q, destination.r);
+        target.pixelX = pixel.x;
+        target.pixelY = pixel.y;
+        this.engagementManager.updateAfterDisplacement(target, this.gameStateManager.combatCharacters);
+        this.pathfinding.invalidateCache();
+        this.logger.debug(`[PUSH] ${target.name} ${from} → (${destination.q},${destination.r})`);
+        this.logger.combat(`    → {{char:${target.name}}} is {{knockedBack}} by {{char:${pusher.name}}}`);
+        return { moved: true, collisionDamage: 0 };
+    }
+
+    /**
+     * Execute a SHOVE on a target hex: opposed strength roll (SHOVE, defender's terrain footing counts), then push the defender
+     * one hex away with the knockback collision rules (pushCharacter). Costs STAMINA.cost.shove
+     * Returns { hit, damage, crit, defenderDefeated } like executeAttack
+     */
+    executeShove(attacker, targetHex) {
+        const tPx = this.hexGrid.hexToPixel(targetHex.q, targetHex.r);
+        const aPx = this.hexGrid.hexToPixel(attacker.hexQ, attacker.hexR);
+        attacker.facing = getFacingFromDelta(tPx.x - aPx.x, tPx.y - aPx.y);
+        this.drainStamina(attacker, 'shove');
+
+        const actionSpeed = calculateActionSpeed(attacker, 'light');
+        const spdTag = `{{tip:${this.buildActionSpeedTip(attacker, 'light')}}}{{spd}}[${actionSpeed} T${getSpeedTier(actionSpeed).tier}]{{/spd}}{{/tip}}`;
+        const defender = this.getCharacterAtHex(targetHex.q, targetHex.r);
+        if (!defender) {
+            this.logger.combat(`{{char:${attacker.name}}}: Shove ({{whiff}}) ${spdTag}`);
+            return { hit: false, damage: 0, crit: false, defenderDefeated: false };
+        }
+
+        const footing = this.getTerrainModifier(defender, 'footing');
+        const statEdge = attacker.stats.str * 2 - defender.stats.str - defender.stats.con - footing;
+        const chance = Math.max(SHOVE.minChance, Math.min(SHOVE.maxChance, SHOVE.baseChance + statEdge * SHOVE.statMultiplier));
+        const roll = this.random.d100();
+        const hit = roll <= chance;
+        // Display inverted like the to-hit roll ("roll high = good")
+        this.logger.combat(`{{char:${attacker.name}}}: Shove {{char:${defender.name}}} (THC= {{thc}}${100 - chance}%{{/thc}}, Roll= {{roll}}${101 - roll}{{/roll}}, ${hit ? '{{hit}}' : '{{miss}}'}) ${spdTag}`);
+        if (!hit) return { hit: false, damage: 0, crit: false, defenderDefeated: false };
+
+        const { collisionDamage } = this.pushCharacter(attacker, defender);
+        return this.handleHitResult(attacker, defender, collisionDamage, false, false);
+    }
+
+    /**
+     * Execute a GRAPPLE on a target hex: contest of str + dex + unarmed skill (GrappleManager),
+     * locking both characters in place on success. Costs STAMINA.cost.grapple; a win trains unarmed
+     * Returns { hit, damage, crit, defenderDefeated } like executeAttack
+     */
+    executeGrapple(attacker, targetHex) {
+        const tPx = this.hexGrid.hexToPixel(targetHex.q, targetHex.r);
+        const aPx = this.hexGrid.hexToPixel(attacker.hexQ, attacker.hexR);
+        attacker.facing = getFacingFromDelta(tPx.x - aPx.x, tPx.y - aPx.y);
+        this.drainStamina(attacker, 'grapple');
+
+        const actionSpeed = calculateActionSpeed(attacker, 'light');
+        const spdTag = `{{tip:${this.buildActionSpeedTip(attacker, 'light')}}}{{spd}}[${actionSpeed} T${getSpeedTier(actionSpeed).tier}]{{/spd}}{{/tip}}`;
+        const defender = this.getCharacterAtHex(targetHex.q, targetHex.r);
+        if (!defender) {
+            this.logger.combat(`{{char:${attacker.name}}}: Grapple ({{whiff}}) ${spdTag}`);
+            return { hit: false, damage: 0, crit: false, defenderDefeated: false };
+        }
+        if (this.grappleManager.isLocked(attacker) || this.grappleManager.isLocked(defender)) {
+            this.logger.combat(`{{char:${attacker.name}}}: Grapple {{char:${defender.name}}} - already caught up in a grapple ${spdTag}`);
+            return { hit: false, damage: 0, crit: false, defenderDefeated: false };
+        }
+
+        const chance = this.grappleManager.calculateContestChance(attacker, defender);
+        const roll = this.random.d100();
+        const hit = roll <= chance;
+        // Display inverted like the to-hit roll ("roll high = good")
+        this.logger.combat(`{{char:${attacker.name}}}: Grapple {{char:${defender.name}}} (THC= {{thc}}${100 - chance}%{{/thc}}, Roll= {{roll}}${101 - roll}{{/roll}}, ${hit ? '{{hit}}' : '{{miss}}'}) ${spdTag}`);
+        if (!hit) return { hit: false, damage: 0, crit: false, defenderDefeated: false };
+
+        this.grappleManager.startGrapple(attacker, defender);
+        this.logger.combat(`    → {{char:${defender.name}}} is {{grappled}} by {{char:${attacker.name}}}`);
+        if (defender.faction !== attacker.faction) {
+            this.progressionManager.trainSkill(attacker, 'unarmed', SKILL_PROGRESSION.xp.weaponHit);
+        }
+        return { hit: true, damage: 0, crit: false, defenderDefeated: false };
+    }
+
+    /**
+     * Execute an ABILITY (see ABILITIES in const.js): pay the cost, then apply its effects to everyone
+     * the shape covers. A single enemy target must be hit first (resolveHitRoll); self, ally and burst abilities always land
+     * Returns { hit, damage, crit, defenderDefeated, defeated } like executeAttack - defeated lists everyone the ability took down
+     */
+    executeAbility(user, targetHex, abilityKey) {
+        const ability = ABILITIES[abilityKey];
+        if (targetHex.q !== user.hexQ || targetHex.r !== user.hexR) {
+            const tPx = this.hexGrid.hexToPixel(targetHex.q, targetHex.r);
+            const uPx = this.hexGrid.hexToPixel(user.hexQ, user.hexR);
+            user.facing = getFacingFromDelta(tPx.x - uPx.x, tPx.y - uPx.y);
+        }
+        const wasExhausted = isExhausted(user);
+        const spent = this.abilityManager.spendCost(user, abilityKey);
+        this.logger.debug(`[ABILITY] ${user.name} ${abilityKey} -${spent} stamina (${user.stamina}/${user.maxStamina})`);
+        if (!wasExhausted && isExhausted(user)) {
+            this.logger.combat(`{{char:${user.name}}} is {{exhausted}}`);
+        }
+
+        const actionSpeed = calculateActionSpeed(user, ability.speed);
+        const spdTag = `{{tip:${this.buildActionSpeedTip(user, ability.speed)}}}{{spd}}[${actionSpeed} T${getSpeedTier(actionSpeed).tier}]{{/spd}}{{/tip}}`;
+        const targets = this.abilityManager.getAffectedCharacters(user, abilityKey, targetHex, this.gameStateManager.combatCharacters);
+        const miss = { hit: false, damage: 0, crit: false, defenderDefeated: false, defeated: [] };
+
+        if (ability.target === 'enemy' && ability.shape.type === 'single') {
+            const defender = targets[0];
+            if (!defender) {
+                this.logger.combat(`{{char:${user.name}}}: ${ability.name} ({{whiff}}) ${spdTag}`);
+                return miss;
+            }
+            const hitResult = this.resolveHitRoll(user, defender);
+            if (!hitResult.hit) return { ...this.handleMiss(user, defender, ability.name, hitResult, ability.speed), defeated: [] };
+            this.logger.combat(`{{char:${user.name}}}: ${ability.name} {{char:${defender.name}}} (THC= {{thc}}${hitResult.thcPercent}%{{/thc}}, Roll= {{roll}}${hitResult.rollPercent}{{/roll}}, {{hit}}) ${spdTag}`);
+        } else {
+            const onWhom = ability.shape.type === 'single' && targets[0] && targets[0] !== user ? ` on {{char:${targets[0].name}}}` : '';
+            this.logger.combat(`{{char:${user.name}}}: ${ability.name}${onWhom} ${spdTag}`);
+            if (targets.length === 0) this.logger.combat(`    → no one is affected`);
+        }
+
+        const result = { hit: true, damage: 0, crit: false, defenderDefeated: false, defeated: [] };
+        for (const target of targets) {
+            const { damage, defeated } = this.applyAbilityEffects(user, target, ability);
+            result.damage += damage;
+            if (defeated) result.defeated.push(target);
+        }
+        result.defenderDefeated = result.defeated.some(target => target.hexQ === targetHex.q && target.hexR === targetHex.r);
+        return result;
+    }
+
+    /**
+     * Apply an ability's effects to one character in order (damage, condition, heal)
+     * Returns { damage, defeated }
+     */
+    applyAbilityEffects(user, target, ability) {
+        let damage = 0;
+        for (const effect of ability.effects) {
+            if (target.isDefeated || target.health <= 0) break;
+
+            if (effect.type === 'damage') {
+                const damageResult = this.applyDamage(user, target, effect.amount, effect.damageType);
+                this.logDamageApplication(target, user, damageResult);
+                this.handleHitResult(user, target, effect.amount, false, false);
+                damage += effect.amount;
+            } else if (effect.type === 'condition') {
+                const instance = this.conditionManager.applyCondition(target, effect.condition);
+                if (instance) this.logger.combat(`    → {{char:${target.name}}} is {{${instance.key}}} by {{char:${user.name}}}`);
+            } else if (effect.type === 'heal') {
+                this.healingManager.heal(target, effect.amount, ability.name.toLowerCase());
+            }
+        }
+        return { damage, defeated: target.health <= 0 };
+    }
+
+    /**
+     * Non-ally a grappled caster's spell would catch besides its grappler (see SpellManager.getHeldTarget), or null
+     */
+    getHeldCastTarget(caster, targetHex, spellKey) {
+        return this.spellManager.getHeldTarget(caster, spellKey, targetHex, this.gameStateManager.combatCharacters);
+    }
+
+    /**
+     * Execute a CAST on a target hex (SpellManager)
+     * An engaged caster may fizzle (the mana is spent anyway); otherwise the spell lands on everyone its area covers.
+     * Hostile spells are resisted with will: half damage, no condition. Spell damage goes past armor.
+     * Returns { hit, damage, crit, defenderDefeated, defeated, affected }
+     */
+    executeCast(caster, targetHex, spellKey) {
+        const spell = SPELLS[spellKey];
+        if (targetHex.q !== caster.hexQ || targetHex.r !== caster.hexR) {
+            const tPx = this.hexGrid.hexToPixel(targetHex.q, targetHex.r);
+            const cPx = this.hexGrid.hexToPixel(caster.hexQ, caster.hexR);
+            caster.facing = getFacingFromDelta(tPx.x - cPx.x, tPx.y - cPx.y);
+        }
+        const manaBefore = caster.mana;
+        const spent = this.spellManager.spendMana(caster, spellKey);
+        this.logger.debug(`[SPELL] ${caster.name} ${spellKey} -${spent} mana (${caster.mana}/${caster.maxMana})`);
+
+        const actionSpeed = calculateActionSpeed(caster, spell.speed);
+        const spdTag = `{{tip:${this.buildActionSpeedTip(caster, spell.speed)}}}{{spd}}[${actionSpeed} T${getSpeedTier(actionSpeed).tier}]{{/spd}}{{/tip}}`;
+        const manaTag = `{{mana}}(${Math.floor(manaBefore)} → ${Math.floor(caster.mana)} mana){{/mana}}`;
+        const characters = this.gameStateManager.combatCharacters;
+        const result = { hit: false, damage: 0, crit: false, defenderDefeated: false, defeated: [], affected: [] };
+
+        const targets = this.spellManager.getAffectedCharacters(caster, spellKey, targetHex, characters);
+        const onWhom = spell.area.type === 'single' && targets[0] && targets[0] !== caster ? ` on {{char:${targets[0].name}}}` : '';
+        this.logger.combat(`{{char:${caster.name}}}: Cast {{spell:${spellKey}}}${onWhom} ${manaTag} ${spdTag}`);
+
+        // Fizzle: enemies engaging the caster break concentration
+        const failureChance = this.spellManager.calculateFailureChance(caster, characters);
+        if (failureChance > 0) {
+            const roll = this.random.d100();
+            if (roll <= failureChance) {
+                this.logger.combat(`    → {{fizzle}} - engaged by ${this.spellManager.getEngagers(caster, characters).length} (Fail= ${failureChance}%, Roll= ${roll})`);
+                return result;
+            }
+        }
+
+        if (targets.length === 0) {
+            this.logger.combat(`    → no one is affected`);
+            return result;
+        }
+
+        result.hit = true;
+        result.affected = targets;
+        for (const target of targets) {
+            let resisted = false;
+            if (spell.target !== 'ally' && target !== caster) {
+                const resistChance = this.spellManager.calculateResistChance(caster, target, spellKey);
+                const roll = this.random.d100();
+                resisted = roll <= resistChance;
+                if (resisted) this.logger.combat(`    → {{char:${target.name}}} {{resisted}} (Resist= ${resistChance}%, Roll= ${roll})`);
+            }
+            const { damage, defeated } = this.applySpellEffects(caster, target, spellKey, resisted);
+            result.damage += damage;
+            if (defeated) result.defeated.push(target);
+        }
+        result.defenderDefeated = result.defeated.some(target => target.hexQ === targetHex.q && target.hexR === targetHex.r);
+        return result;
+    }
+
+    /**
+     * Apply a spell's effects to one character in order (damage, condition, heal) at the caster's potency
+     * Resisted: damage halved (rounded down), conditions shrugged off
+     * Returns { damage, defeated }
+     */
+    applySpellEffects(caster, target, spellKey, resisted) {
+        let damage = 0;
+        for (const effect of SPELLS[spellKey].effects) {
+            if (target.isDefeated || target.health <= 0) break;
+
+            if (effect.type === 'damage') {
+                const potency = this.spellManager.calculatePotency(caster, spellKey, effect);
+                const amount = resisted ? Math.floor(potency / 2) : potency;
+                if (amount <= 0) continue;
+                const damageResult = this.applyDamage(caster, target, amount, effect.damageType);
+                this.logDamageApplication(target, caster, damageResult);
+                this.handleHitResult(caster, target, amount, false, false);
+                damage += amount;
+            } else if (effect.type === 'condition' && !resisted) {
+                const instance = this.conditionManager.applyCondition(target, effect.condition);
+                if (instance) this.logger.combat(`    → {{char:${target.name}}} is {{${instance.key}}} by {{char:${caster.name}}}`);
+            } else if (effect.type === 'heal') {
+                this.healingManager.heal(target, this.spellManager.calculatePotency(caster, spellKey, effect), SPELLS[spellKey].name.toLowerCase());
+            }
+        }
+        return { damage, defeated: target.health <= 0 };
+    }
+
+    /**
+     * Execute an INTIMIDATE on a target hex: Cerebral Presence against the target's will (PresenceManager)
+     * A win leaves the target shaken (attack penalty, morale drop)
+     * Returns { hit, damage, crit, defenderDefeated } like executeAttack
+     */
+    executeIntimidate(user, targetHex) {
+        const defender = this.resolvePresenceContest(user, targetHex, 'Intimidate');
+        if (!defender) return { hit: false, damage: 0, crit: false, defenderDefeated: false };
+
+        this.conditionManager.applyCondition(defender, 'shaken');
+        this.logger.combat(`    → {{char:${defender.name}}} is {{shaken}} by {{char:${user.name}}}`);
+        return { hit: true, damage: 0, crit: false, defenderDefeated: false };
+    }
+
+    /**
+     * Execute a TAUNT on a target hex: same contest as INTIMIDATE
+     * A win forces the target's AI to go after the taunter next round (AISystem.findClosestEnemy)
+     * Returns { hit, damage, crit, defenderDefeated } like executeAttack
+     */
+    executeTaunt(user, targetHex) {
+        const defender = this.resolvePresenceContest(user, targetHex, 'Taunt');
+        if (!defender) return { hit: false, damage: 0, crit: false, defenderDefeated: false };
+
+        this.conditionManager.applyCondition(defender, 'taunted');
+        this.presenceManager.startTaunt(user, defender);
+        this.logger.combat(`    → {{char:${defender.name}}} is {{taunted}} by {{char:${user.name}}}`);
+        return { hit: true, damage: 0, crit: false, defenderDefeated: false };
+    }
+
+    /**
+     * Face the target and roll a presence contest against whoever stands on the hex (logged as the action line)
+     * Returns the target on a win, null on a whiff or a lost contest
+     */
+    resolvePresenceContest(user, targetHex, verb) {
+        const tPx = this.hexGrid.hexToPixel(targetHex.q, targetHex.r);
+        const uPx = this.hexGrid.hexToPixel(user.hexQ, user.hexR);
+        user.facing = getFacingFromDelta(tPx.x - uPx.x, tPx.y - uPx.y);
+
+        const actionSpeed = calculateActionSpeed(user, 'light');
+        const spdTag = `{{tip:${this.buildActionSpeedTip(user, 'light')}}}{{spd}}[${actionSpeed} T${getSpeedTier(actionSpeed).tier}]{{/spd}}{{/tip}}`;
+        const target = this.getCharacterAtHex(targetHex.q, targetHex.r);
+        if (!target) {
+            this.logger.combat(`{{char:${user.name}}}: ${verb} ({{whiff}}) ${spdTag}`);
+            return null;
+        }
+
+        const chance = this.presenceManager.calculateContestChance(user, target);
+        const roll = this.random.d100();
+        const hit = roll <= chance;
+        // Display inverted like the to-hit roll ("roll high = good")
+        this.logger.combat(`{{char:${user.name}}}: ${verb} {{char:${target.name}}} (THC= {{thc}}${100 - chance}%{{/thc}}, Roll= {{roll}}${101 - roll}{{/roll}}, ${hit ? '{{hit}}' : '{{miss}}'}) ${spdTag}`);
+        return hit ? target : null;
+    }
+
+    /**
+     * Execute a SWAP action: trade the held weapons for the secondary set (see swapWeaponSets)
+     * Timed on the set being drawn; a swap that only drops the shield is instant
+     */
+    executeSwap(character) {
+        if (isInstantSwap(character)) {
+            const shieldKey = character.equipment.offHand;
+            swapWeaponSets(character);
+            this.logger.combat(`{{char:${character.name}}}: Drop {{weapon:${shieldKey}}} (instant)`);
+            return;
+        }
+
+        const actionSpeed = calculateSwapSpeed(character);
+        const spdTip = this.buildActionSpeedTip({ ...character, equipment: getSwappedEquipment(character) }, 'swap');
+        const spdTag = `{{tip:${spdTip}}}{{spd}}[${actionSpeed} T${getSpeedTier(actionSpeed).tier}]{{/spd}}{{/tip}}`;
+        swapWeaponSets(character);
+
+        const { mainHand, offHand } = character.equipment;
+        const drawn = offHand ? `{{weapon:${mainHand}}} + {{weapon:${offHand}}}` : `{{weapon:${mainHand}}}`;
+        this.logger.combat(`{{char:${character.name}}}: Swap to ${drawn} ${spdTag}`);
+    }
+
+    /**
+     * Execute a USE action with a heal/cures item on a character (self or an adjacent ally)
+     * Spends one item from the user's inventory; healing goes through HealingManager.heal
+     * Returns { hit, damage, crit, defenderDefeated } like executeAttack
+     */
+    executeUseItem(user, targetHex, itemKey) {
+        const item = ITEMS[itemKey];
+        const target = this.getCharacterAtHex(targetHex.q, targetHex.r);
+        const actionSpeed = calculateActionSpeed(user, 'light');
+        const spdTag = `{{tip:${this.buildActionSpeedTip(user, 'light')}}}{{spd}}[${actionSpeed} T${getSpeedTier(actionSpeed).tier}]{{/spd}}{{/tip}}`;
+        if (!target || target.isDefeated || !this.inventoryManager.consumeItem(user, itemKey)) {
+            this.logger.combat(`{{char:${user.name}}}: Use ${item.name} - nothing happens ${spdTag}`);
+            return { hit: false, damage: 0, crit: false, defenderDefeated: false };
+        }
+
+        const onWhom = target === user ? '' : ` on {{char:${target.name}}}`;
+        this.logger.combat(`{{char:${user.name}}}: Use ${item.name}${onWhom} ${spdTag}`);
+        if (item.cures && this.conditionManager.hasCondition(target, item.cures)) {
+            this.conditionManager.removeCondition(target, item.cures);
+            this.logger.combat(`    → {{char:${target.name}}} is no longer {{${item.cures}}}`);
+        }
+        if (item.heal) this.healingManager.heal(target, item.heal, item.name.toLowerCase());
+        return { hit: true, damage: 0, crit: false, defenderDefeated: false };
+    }
+
+    /**
+     * Execute a USE action with a thrown item: spends one item, traces line of sight like a ranged shot
+     * (range and cover penalties), then rolls to hit. A hit deals the item's flat damage through the buffer
+     * Returns { hit, damage, crit, defenderDefeated } like executeAttack
+     */
+    executeThrow(attacker, targetHex, itemKey) {
+        const item = ITEMS[itemKey];
+        const tPx = this.hexGrid.hexToPixel(targetHex.q, targetHex.r);
+        const aPx = this.hexGrid.hexToPixel(attacker.hexQ, attacker.hexR);
+        attacker.facing = getFacingFromDelta(tPx.x - aPx.x, tPx.y - aPx.y);
+        this.inventoryManager.consumeItem(attacker, itemKey);
+
+        const attackerHex = { q: attacker.hexQ, r: attacker.hexR };
+        const distance = this.hexGrid.hexDistance(attackerHex, targetHex);
+        const { clear, cover } = this.checkLineOfSight(attackerHex, targetHex);
+        const throwName = `Throw ${item.name} at range ${distance}${cover > 0 ? ' {{cover}}' : ''}`;
+        if (!clear) {
+            this.logger.combat(`{{char:${attacker.name}}}: Throw ${item.name} at (${targetHex.q}, ${targetHex.r}) - line of sight {{blocked}}`);
+            return { hit: false, damage: 0, crit: false, defenderDefeated: false, whiff: true, blocked: true };
+        }
+        const defender = this.getCharacterAtHex(targetHex.q, targetHex.r);
+
+        const thcModifier = -((item.thrown.rangePenalty * (distance - 1)) + (cover * RANGED_COMBAT.coverPenalty));
+        const { hit, thcPercent, rollPercent } = this.resolveHitRoll(attacker, defender, thcModifier);
+        if (!hit) return this.handleMiss(attacker, defender, throwName, { thcPercent, rollPercent });
+
+        const actionSpeed = calculateActionSpeed(attacker, 'light');
+        const spdTag = `{{tip:${this.buildActionSpeedTip(attacker, 'light')}}}{{spd}}[${actionSpeed} T${getSpeedTier(actionSpeed).tier}]{{/spd}}{{/tip}}`;
+        this.logger.combat(`{{char:${attacker.name}}}: ${throwName} {{char:${defender.name}}} (THC= {{thc}}${thcPercent}%{{/thc}}, Roll= {{roll}}${rollPercent}{{/roll}}, {{hit}}) ${spdTag}`);
+        const damageResult = this.applyDamage(attacker, defender, item.thrown.damage, item.thrown.type);
+        this.logDamageApplication(defender, attacker, damageResult);
+        return this.handleHitResult(attacker, defender, item.thrown.damage, false, false);
+    }
+
+    /**
+     * Roll the hit location (weighted d100, or the called shot's location) and apply its damage multiplier
+     * Returns { location: { key, called, roll, damage }, damage } - location.damage is kept for the breakdown
+     */
+    resolveHitLocation(damage, calledShot = null) {
+        let key = calledShot;
+        let roll = null;
+        if (!key) {
+            roll = this.random.d100();
+            let cumulative = 0;
+            for (const [locationKey, loc] of Object.entries(HIT_LOCATIONS)) {
+                cumulative += loc.weight;
+                key = locationKey;
+                if (roll <= cumulative) break;
+            }
+        }
+        const locationDamage = Math.floor(damage * HIT_LOCATIONS[key].damageMult);
+        this.logger.debug(`[LOCATION] ${key}${calledShot ? ' (called)' : ` roll=${roll}`} x${HIT_LOCATIONS[key].damageMult}: ${damage} → ${locationDamage}`);
+        return { location: { key, called: !!calledShot, roll, damage: locationDamage }, damage: locationDamage };
+    }
+
+    /**
+     * Roll for an active shield block against a hit that got through
+     * Chance from shield size and block skill, halved outside the front arc (calculateBlockChance)
+     * Raising the shield needs STAMINA.cost.block stamina; a successful block spends it
+     * Returns { block: null | { chance, roll, chancePercent, rollPercent, negated, absorbed }, damage }
+     */
+    resolveShieldBlock(attacker, defender, damage) {
+        if (damage <= 0) return { block: null, damage };
+
+        const fromFrontArc = isInFrontArc(
+            { q: attacker.hexQ, r: attacker.hexR },
+            { q: defender.hexQ, r: defender.hexR },
+            defender.facing,
+            this.hexGrid
+        );
+        const chance = calculateBlockChance(defender, fromFrontArc);
+        if (chance <= 0) return { block: null, damage };
+        if (!canAffordStamina(defender, 'block')) {
+            this.logger.debug(`[BLOCK] ${defender.name} too exhausted to raise the shield (stamina ${defender.stamina})`);
+            return { block: null, damage };
+        }
+
+        const roll = this.random.d100();
+        if (roll > chance) return { block: null, damage };
+        this.drainStamina(defender, 'block');
+
+        const shield = WEAPONS[defender.equipment.offHand];
+        const negated = roll <= Math.ceil(chance * SHIELD_BLOCK.perfectBlockFraction);
+        const blockedDamage = negated ? 0 : Math.floor(damage * (1 - shield.block.absorb));
+        this.logger.debug(`[BLOCK] ${defender.name} blocks ${attacker.name}: chance=${chance} roll=${roll} frontArc=${fromFrontArc} ${damage} → ${blockedDamage}${negated ? ' (negated)' : ''}`);
+
+        return {
+            // Display inverted so "roll high = good" for player readability (same as THC)
+            block: { chance, roll, chancePercent: 100 - chance, rollPercent: 101 - roll, negated, absorbed: damage - blockedDamage },
+            damage: blockedDamage
+        };
+    }
+
     /**
      * Apply resistance/vulnerability modifier to damage based on weapon type vs armor
      * Pure calculation — no side effects
@@ -240,13 +853,14 @@ export class CombatSystem {
 
     /**
      * Build action speed tooltip string showing formula breakdown
+     * attackType is an ATTACK_TYPES key, or 'swap' for the SWAP action
      */
     buildActionSpeedTip(attacker, attackType) {
         const weaponKey = attacker.equipment.mainHand;
         const weapon = WEAPONS[weaponKey];
         const offHandKey = attacker.equipment.offHand;
         const offHand = offHandKey ? WEAPONS[offHandKey] : null;
-        const attackMod = ATTACK_TYPES[attackType]?.speedMod || 10;
+        const attackMod = getActionSpeedMod(attackType);
         const weaponName = weaponKey.replace(/([A-Z])/g, '-$1').toLowerCase();
 
         let tip = `${weaponName} speed(${weapon.speed})`;
@@ -255,6 +869,12 @@ export class CombatSystem {
             tip += ` + ${offName} speed(${offHand.speed})`;
         }
         tip += ` + ${attackType}(${attackMod}) - Dex(${attacker.stats.dex})`;
+        for (const instance of attacker.conditions?.values() || []) {
+            const conditionMod = CONDITIONS[instance.key]?.modifiers?.actionSpeed;
+            if (conditionMod) tip += ` + ${instance.key}(${conditionMod})`;
+        }
+        const exhaustionMod = getExhaustionModifier(attacker, 'actionSpeed');
+        if (exhaustionMod) tip += ` + exhausted(${exhaustionMod})`;
         return tip;
     }
 
@@ -271,9 +891,9 @@ export class CombatSystem {
     /**
      * Build the detailed damage breakdown string with semantic tokens
      * Pure string building — references STAT_BONUSES, ATTACK_TYPES for formula display
-     * Returns the complete breakdown: base {{tip}} → resist/vuln → DR → crit
+     * Returns the complete breakdown: base {{tip}} → resist/vuln → hit location → DR → crit → block
      */
-    buildDamageBreakdown(attacker, attackType, weapon, armor, baseDamage, damageAfterResist, resistMod, effectiveDR, flanking, drAbsorbed, damageAfterDR, crit, finalDamage, defender) {
+    buildDamageBreakdown(attacker, attackType, weapon, armor, baseDamage, damageAfterResist, resistMod, effectiveDR, flanking, drAbsorbed, damageAfterDR, crit, damageAfterCrit, defender, block = null, finalDamage = damageAfterCrit, location = null) {
         const strMult = STAT_BONUSES.MULTIPLIER[attacker.stats.str] ?? 1;
         const strBonus = Math.ceil(weapon.force * strMult);
         const attackMod = ATTACK_TYPES[attackType]?.damageMod || 0;
@@ -296,16 +916,37 @@ export class CombatSystem {
             breakdown += ` -> Vuln+: {{vuln}}x${attackType === "heavy" ? "2.5" : "2.0"}{{/vuln}} = {{dmg}}${damageAfterResist}{{/dmg}}`;
         }
 
+        // Hit location (multiplier applied before DR)
+        const hitLocation = location ? HIT_LOCATIONS[location.key] : null;
+        if (hitLocation) {
+            const locationTip = location.called ? "called shot" : `location roll ${location.roll}`;
+            breakdown += ` -> {{tip:${locationTip}}}${hitLocation.name}{{/tip}}`;
+            if (hitLocation.damageMult !== 1) breakdown += `: x${hitLocation.damageMult} = {{dmg}}${location.damage}{{/dmg}}`;
+        }
+
         // DR modifier with armor name
         if (effectiveDR > 0) {
             const armorKey = defender.equipment.armor || "none";
             breakdown += ` -> {{armor:${armorKey}}} DR({{dr}}-${effectiveDR}{{/dr}})`;
+            if (hitLocation && hitLocation.armorCoverage < 1) breakdown += ` (${hitLocation.name.toLowerCase()} covered ${Math.round(hitLocation.armorCoverage * 100)}%)`;
             if (flanking) breakdown += ` (flanked ${Math.round(armor.flankingDefense * 100)}%)`;
+            const armorInstance = defender.armorInstance;
+            if (armorInstance && armorInstance.durability < armorInstance.maxDurability) {
+                breakdown += ` (worn ${armorInstance.durability}/${armorInstance.maxDurability})`;
+            }
             breakdown += ` = {{dmg}}${damageAfterDR}{{/dmg}}`;
         }
 
         // Crit modifier (applied last, after DR)
-        if (crit) breakdown += ` -> Crit: x1.5 = {{dmg}}${finalDamage}{{/dmg}}`;
+        if (crit) breakdown += ` -> Crit: x1.5 = {{dmg}}${damageAfterCrit}{{/dmg}}`;
+
+        // Shield block (after everything else - the shield catches what's left)
+        if (block) {
+            const shieldKey = defender.equipment.offHand;
+            const blockTip = `block roll BSC= ${block.chancePercent}%, Roll= ${block.rollPercent}`;
+            const blockResult = block.negated ? 'negated' : `-${block.absorbed}`;
+            breakdown += ` -> {{weapon:${shieldKey}}} {{tip:${blockTip}}}{{blocked}}{{/tip}} ${blockResult} = {{dmg}}${finalDamage}{{/dmg}}`;
+        }
 
         return breakdown;
     }
@@ -315,10 +956,11 @@ export class CombatSystem {
      * Pure string building — no side effects
      * Returns array of log strings: header (with tags), optional CSC line, damage breakdown line
      */
-    buildCombatLogLines(attacker, defender, attackTypeName, thcPercent, rollPercent, crit, flanking, friendlyFire, cscPercent, cscRollPercent, damageBreakdown, actionSpeed, spdTip) {
+    buildCombatLogLines(attacker, defender, attackTypeName, thcPercent, rollPercent, crit, flanking, friendlyFire, cscPercent, cscRollPercent, damageBreakdown, actionSpeed, spdTip, reaction = null) {
         let logParts = [];
         const spdTier = getSpeedTier(actionSpeed).tier;
         logParts.push(`{{char:${attacker.name}}}: ${attackTypeName} {{char:${defender.name}}} (THC= {{thc}}${thcPercent}%{{/thc}}, Roll= {{roll}}${rollPercent}{{/roll}}, {{hit}}) {{tip:${spdTip}}}{{spd}}[${actionSpeed} T${spdTier}]{{/spd}}{{/tip}}`);
+        if (reaction) logParts.push(`{{${reaction}}}`);
         if (crit) logParts.push("{{critical}}");
         if (flanking) logParts.push("{{flanking}}");
         if (friendlyFire) logParts.push("{{friendlyFire}}");
@@ -331,6 +973,31 @@ export class CombatSystem {
         return lines;
     }
 
+    /**
+     * Reduce defender's armor durability after a hit
+     * Every hit costs ARMOR_WEAR.base; armorDamageEnhancement effects add extra wear
+     * when the attack type matches the effect intensity (same rule as vulnerable enhancements)
+     * Returns { wear, durabilityBefore, durabilityAfter } or null if armor has no durability
+     */
+    applyArmorWear(attacker, defender, weapon, attackType) {
+        const armorInstance = defender.armorInstance;
+        if (!armorInstance || armorInstance.durability <= 0) return null;
+
+        let wear = ARMOR_WEAR.base;
+        if (attackType === 'light' && weapon.effects?.includes('armorDamageEnhancementLight')) {
+            wear += ARMOR_WEAR.enhancement.light;
+        } else if (attackType === 'heavy' && weapon.effects?.includes('armorDamageEnhancementHeavy')) {
+            wear += ARMOR_WEAR.enhancement.heavy;
+        }
+
+        const durabilityBefore = armorInstance.durability;
+        armorInstance.durability = Math.max(0, durabilityBefore - wear);
+        const durabilityAfter = armorInstance.durability;
+
+        this.logger.combat(`    → {{char:${defender.name}}}: {{armor:${armorInstance.key}}} durability (${durabilityBefore} → ${durabilityAfter})`);
+        return { wear, durabilityBefore, durabilityAfter };
+    }
+
     /**
      * Log where damage was applied (buffer, HP, or both)
      * Side-effect method — calls this.logger.combat() directly
@@ -368,17 +1035,30 @@ export class CombatSystem {
         return { hit: false, damage: 0, crit: false, defenderDefeated: false, whiff: true };
     }
 
+    /**
+     * Handle a ranged shot stopped by blocking terrain
+     * Returns { hit: false, damage: 0, crit: false, defenderDefeated: false, whiff: true, blocked: true }
+     */
+    handleBlockedShot(attacker, targetHex, weaponKey, attackType) {
+        const shotName = this.formatAttackTypeName(weaponKey, attackType, "shoots");
+        this.logger.combat(`{{char:${attacker.name}}}: ${shotName} at (${targetHex.q}, ${targetHex.r}) - line of sight {{blocked}}`);
+        return { hit: false, damage: 0, crit: false, defenderDefeated: false, whiff: true, blocked: true };
+    }
+
     /**
      * Handle a missed attack (THC roll failed)
-     * Logs the miss message with THC/roll data and returns the miss result object
+     * Logs the miss message with THC/roll data, trains the defender's evasion and returns the miss result object
      * Returns { hit: false, damage: 0, crit: false, defenderDefeated: false }
      */
-    handleMiss(attacker, defender, attackTypeName, hitResult, attackType = 'light') {
+    handleMiss(attacker, defender, attackTypeName, hitResult, attackType = 'light', reaction = null) {
         const { thcPercent, rollPercent } = hitResult;
         const actionSpeed = calculateActionSpeed(attacker, attackType);
         const spdTip = this.buildActionSpeedTip(attacker, attackType);
         const spdTier = getSpeedTier(actionSpeed).tier;
-        this.logger.combat(`{{char:${attacker.name}}}: ${attackTypeName} {{char:${defender.name}}} (THC= {{thc}}${thcPercent}%{{/thc}}, Roll= {{roll}}${rollPercent}{{/roll}}, {{miss}}) {{tip:${spdTip}}}{{spd}}[${actionSpeed} T${spdTier}]{{/spd}}{{/tip}}`);
+        const reactionTag = reaction ? ` {{${reaction}}}` : '';
+        this.logger.combat(`{{char:${attacker.name}}}: ${attackTypeName} {{char:${defender.name}}} (THC= {{thc}}${thcPercent}%{{/thc}}, Roll= {{roll}}${rollPercent}{{/roll}}, {{miss}}) {{tip:${spdTip}}}{{spd}}[${actionSpeed} T${spdTier}]{{/spd}}{{/tip}}${reactionTag}`);
+        // Evading an enemy's attack trains dodge (or block with a shield)
+        if (defender.faction !== attacker.faction) this.progressionManager.recordEvade(defender);
         return { hit: false, damage: 0, crit: false, defenderDefeated: false };
     }
 
@@ -406,7 +1086,7 @@ export class CombatSystem {
     }
 
     /**
-     * Check if target is valid (adjacent, different faction)
+     * Check if target is valid (in attack range, different faction)
      */
     isValidAttackTarget(hexQ, hexR, attacker) {
         const target = this.getCharacterAtHex(hexQ, hexR);
@@ -414,11 +1094,27 @@ export class CombatSystem {
         if (target === attacker) return false;
         if (target.faction === attacker.faction) return false;
 
-        // Check adjacency (range = 1)
-        const distance = this.hexGrid.hexDistance(
-            { q: attacker.hexQ, r: attacker.hexR },
-            { q: hexQ, r: hexR }
-        );
-        return distance === 1;
+        return this.isInAttackRange(attacker, hexQ, hexR);
+    }
+
+    /**
+     * Check if a hex can be attacked with the attacker's main hand weapon
+     * Melee: adjacent only. Reach: up to weapon.reach with no one and nothing in between
+     * Ranged: within min/max range, ammo left, clear line of sight
+     */
+    isInAttackRange(attacker, hexQ, hexR) {
+        const weaponKey = attacker.equipment.mainHand;
+        const { minRange, maxRange } = getAttackRange(weaponKey);
+        const attackerHex = { q: attacker.hexQ, r: attacker.hexR };
+        const distance = this.hexGrid.hexDistance(attackerHex, { q: hexQ, r: hexR });
+        if (distance < minRange || distance > maxRange) return false;
+
+        if (!WEAPONS[weaponKey]?.ranged) {
+            if (distance <= 1) return true;
+            const { clear, cover } = this.checkLineOfSight(attackerHex, { q: hexQ, r: hexR });
+            return clear && cover === 0;
+        }
+        if (!(attacker.ammo?.[weaponKey] > 0)) return false;
+        return this.checkLineOfSight(attackerHex, { q: hexQ, r: hexR }).clear;
     }
 }
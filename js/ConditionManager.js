@@ -0,0 +1,116 @@
+import { CONDITIONS, WEAPON_EFFECTS, HIT_LOCATIONS } from './const.js';
+
+export class ConditionManager {
+    constructor(logger) {
+        const params = { logger };
+        for (const [name, param] of Object.entries(params)) {
+            if (!param) throw new Error(`ConditionManager: missing required '${name}'`);
+        }
+        this.logger = logger;
+    }
+
+    /**
+     * Apply a condition to a character, honoring the condition's stacking rule
+     * Returns the condition instance, or null if the condition key is unknown
+     */
+    applyCondition(target, conditionKey, intensity = null) {
+        const def = CONDITIONS[conditionKey];
+        if (!def) {
+            this.logger.warn(`[CONDITION] Unknown condition '${conditionKey}' - skipped`);
+            return null;
+        }
+
+        const existing = target.conditions.get(conditionKey);
+        if (existing) {
+            existing.remaining = def.duration;
+            if (def.stacking === 'intensity') {
+                existing.stacks = Math.min(def.maxStacks, existing.stacks + 1);
+            }
+            // Heavier intensity wins - a light bleed never downgrades a heavy one
+            if (intensity === 'heavy') existing.intensity = 'heavy';
+            return existing;
+        }
+
+        const instance = { key: conditionKey, stacks: 1, remaining: def.duration, intensity };
+        target.conditions.set(conditionKey, instance);
+        return instance;
+    }
+
+    /**
+     * Apply weapon on-hit condition effects (WEAPON_EFFECTS with type 'condition')
+     * Effects marked 'always' apply on any hit; others require damage to get through
+     * Called from CombatSystem.executeAttack() after damage is applied
+     */
+    applyOnHitEffects(attacker, defender, weapon, finalDamage) {
+        for (const effectKey of weapon.effects || []) {
+            const effect = WEAPON_EFFECTS[effectKey];
+            if (!effect || effect.type !== 'condition' || effect.trigger !== 'onHit') continue;
+            if (!effect.always && finalDamage <= 0) continue;
+
+            const instance = this.applyCondition(defender, effect.effect, effect.intensity || null);
+            if (!instance) continue;
+
+            const stackText = instance.stacks > 1 ? ` (x${instance.stacks})` : '';
+            this.logger.combat(`    → {{char:${defender.name}}} is {{${instance.key}}}${stackText} by {{char:${attacker.name}}}`);
+        }
+    }
+
+    /**
+     * Apply the struck hit location's condition (HIT_LOCATIONS[location].condition)
+     * Only when damage got through - a blow stopped by armor or shield leaves no mark
+     */
+    applyLocationEffect(attacker, defender, location, finalDamage) {
+        const conditionKey = HIT_LOCATIONS[location]?.condition;
+        if (!conditionKey || finalDamage <= 0) return;
+
+        const instance = this.applyCondition(defender, conditionKey);
+        if (!instance) return;
+        this.logger.combat(`    → {{char:${defender.name}}} is {{${instance.key}}} by {{char:${attacker.name}}} (${HIT_LOCATIONS[location].name.toLowerCase()} hit)`);
+    }
+
+    /**
+     * Tick all conditions on a character at round start
+     * Expired conditions are removed; active ones apply their tick effect and count down
+     * Returns { damage, defeated }
+     */
+    tickConditions(character) {
+        let damage = 0;
+
+        for (const [key, instance] of character.conditions) {
+            if (instance.remaining <= 0) {
+                character.conditions.delete(key);
+                this.logger.combat(`{{char:${character.name}}}: {{${key}}} wore off`);
+                continue;
+            }
+
+            // Tick damage goes straight to health (no attacker to hold a buffer against)
+            const tickDamage = (CONDITIONS[key]?.tick?.damage?.[instance.intensity] || 0) * instance.stacks;
+            if (tickDamage > 0 && character.health > 0) {
+                const healthBefore = character.health;
+                character.health = Math.max(0, character.health - tickDamage);
+                damage += healthBefore - character.health;
+                this.logger.combat(`{{char:${character.name}}}: {{${key}}} {{dmg}}-${tickDamage}{{/dmg}} HP {{hp}}(${healthBefore} → ${character.health}){{/hp}}`);
+            }
+            instance.remaining--;
+        }
+
+        return { damage, defeated: character.health <= 0 };
+    }
+
+    hasCondition(character, conditionKey) {
+        return character.conditions?.has(conditionKey) || false;
+    }
+
+    removeCondition(character, conditionKey) {
+        return character.conditions?.delete(conditionKey) || false;
+    }
+
+    /**
+     * Clear all conditions from all characters (called when exiting combat)
+     */
+    clearAllConditions(pc, npcs) {
+        pc.conditions?.clear();
+        npcs.forEach(npc => npc.conditions?.clear());
+        this.logger.debug('[CONDITION] Cleared all conditions');
+    }
+}
@@ -31,6 +31,19 @@ export class EngagementManager {
         }
     }
 
+    /**
+     * Update engagement after a character is displaced outside normal movement (knockback, shove)
+     * Anyone still engaging it from a now non-adjacent hex lets go, then it engages its new neighbors
+     */
+    updateAfterDisplacement(character, characters) {
+        for (const other of characters) {
+            if (other !== character && other.engagedBy?.has(character)) {
+                this.clearNonAdjacentEngagements(other);
+            }
+        }
+        this.updateEngagement(character);
+    }
+
     /**
      * Clear engagements for characters that are no longer adjacent
      */
@@ -9,6 +9,18 @@ import { MovementSystem } from './MovementSystem.js';
 import { CombatSystem } from './CombatSystem.js';
 import { CombatExecutor } from './CombatExecutor.js';
 import { EngagementManager } from './EngagementManager.js';
+import { ConditionManager } from './ConditionManager.js';
+import { LootManager } from './LootManager.js';
+import { ProgressionManager } from './ProgressionManager.js';
+import { MoraleManager } from './MoraleManager.js';
+import { GrappleManager } from './GrappleManager.js';
+import { InjuryManager } from './InjuryManager.js';
+import { HealingManager } from './HealingManager.js';
+import { InventoryManager } from './InventoryManager.js';
+import { PresenceManager } from './PresenceManager.js';
+import { AbilityManager } from './AbilityManager.js';
+import { SpellManager } from './SpellManager.js';
+import { Random } from './Random.js';
 import { HexGridRenderer } from './HexGridRenderer.js';
 import { CharacterRenderer } from './CharacterRenderer.js';
 import { Logger } from './Logger.js';
@@ -90,6 +102,10 @@ export class Game {
         // Create combat UI log with logger and formatter
         this.combatUILog = new CombatUILog(this.logger, this.combatLogFormatter);
 
+        // Seedable RNG shared by all combat rolls (?seed= in the URL pins it for every fight)
+        this.random = new Random();
+        this.random.pinSeed(Random.parseSeed(new URLSearchParams(window.location.search).get('seed')));
+
         // Core modules
         this.hexGrid = new HexGrid(
             GAME_CONSTANTS.HEX_SIZE,
@@ -122,7 +138,8 @@ export class Game {
             this.hexGrid,
             this.getCharacterAtHex.bind(this),
             null, // Will be set after GameStateManager is created
-            this.logger
+            this.logger,
+            this.random
         );
 
         // Initialize CombatExecutor (handles move/action phase sequencing)
@@ -131,7 +148,8 @@ export class Game {
             this.getCharacterAtHex.bind(this),
             this.movementSystem,
             this.combatSystem,
-            this.logger
+            this.logger,
+            this.random
         );
 
         // Use first available sprite set's attack timing (all sets share same attack/impact frameCount)
@@ -144,6 +162,38 @@ export class Game {
             this.logger
         );
 
+        // Initialize ConditionManager (applies, ticks, and expires status conditions)
+        this.conditionManager = new ConditionManager(this.logger);
+
+        // Initialize LootManager (turns defeated characters into loot containers)
+        this.lootManager = new LootManager(this.logger, this.random);
+
+        // Initialize ProgressionManager (use-based skill training, saved into character builds)
+        this.progressionManager = new ProgressionManager(this.logger);
+
+        // Initialize MoraleManager (AI morale: flee or surrender when a fight turns bad)
+        this.moraleManager = new MoraleManager(this.logger);
+
+        // Initialize GrappleManager (unarmed grapples that lock two characters in place)
+        this.grappleManager = new GrappleManager(this.logger, this.random);
+
+        // Initialize InventoryManager (carried items, consumables and weight)
+        this.inventoryManager = new InventoryManager(this.logger);
+
+        // Initialize InjuryManager (lasting injuries from severe hits, healed over time or treated)
+        this.injuryManager = new InjuryManager(this.logger, this.random, this.inventoryManager);
+
+        // Initialize HealingManager (rest, first aid and healing items - all healing clamps to maxHealth)
+        this.healingManager = new HealingManager(this.logger, this.random, this.inventoryManager);
+        // Initialize PresenceManager (INTIMIDATE and TAUNT contests built on Cerebral Presence)
+        this.presenceManager = new PresenceManager(this.logger);
+
+        // Initialize AbilityManager (ABILITIES granted by template or skill level, targeting and shapes)
+        this.abilityManager = new AbilityManager(this.logger, this.hexGrid);
+
+        // Initialize SpellManager (SPELLS known from Int/Wis schools, area templates, resistance and fizzles)
+        this.spellManager = new SpellManager(this.logger, this.hexGrid);
+
         // Now create GameStateManager with MovementSystem, CombatSystem, logger, and Game instance
         this.gameStateManager = new GameStateManager(
             this.state,
@@ -155,7 +205,8 @@ export class Game {
             this.logger,
             this,  // Pass the Game instance for accessing UI systems
             this.combatExecutor,
-            this.engagementManager
+            this.engagementManager,
+            this.conditionManager
         );
 
         // Set the gameStateManager reference in dependent systems (circular dependency)
@@ -163,6 +214,33 @@ export class Game {
         this.movementSystem.pathfinding = this.pathfinding;
         this.combatSystem.gameStateManager = this.gameStateManager;
         this.combatSystem.engagementManager = this.engagementManager;
+        this.combatSystem.conditionManager = this.conditionManager;
+        this.combatSystem.pathfinding = this.pathfinding;
+        this.combatSystem.progressionManager = this.progressionManager;
+        this.combatSystem.grappleManager = this.grappleManager;
+        this.combatSystem.injuryManager = this.injuryManager;
+        this.combatSystem.healingManager = this.healingManager;
+        this.combatSystem.inventoryManager = this.inventoryManager;
+        this.combatSystem.presenceManager = this.presenceManager;
+        this.combatSystem.abilityManager = this.abilityManager;
+        this.combatSystem.spellManager = this.spellManager;
+
+        // Managers used by GameStateManager and its AISystem (wired here rather than via constructor args)
+        this.gameStateManager.random = this.random;
+        this.gameStateManager.lootManager = this.lootManager;
+        this.gameStateManager.moraleManager = this.moraleManager;
+        this.gameStateManager.grappleManager = this.grappleManager;
+        this.gameStateManager.injuryManager = this.injuryManager;
+        this.gameStateManager.healingManager = this.healingManager;
+        this.gameStateManager.inventoryManager = this.inventoryManager;
+        this.gameStateManager.presenceManager = this.presenceManager;
+        this.gameStateManager.abilityManager = this.abilityManager;
+        this.gameStateManager.spellManager = this.spellManager;
+        this.gameStateManager.aiSystem.random = this.random;
+        this.gameStateManager.aiSystem.moraleManager = this.moraleManager;
+        this.gameStateManager.aiSystem.presenceManager = this.presenceManager;
+        this.gameStateManager.aiSystem.abilityManager = this.abilityManager;
+        this.gameStateManager.aiSystem.spellManager = this.spellManager;
 
         // Validate deferred dependencies are set (catches wiring omissions)
         const deferredChecks = [
@@ -170,6 +248,31 @@ export class Game {
             [this.movementSystem, "pathfinding", "MovementSystem"],
             [this.combatSystem, "gameStateManager", "CombatSystem"],
             [this.combatSystem, "engagementManager", "CombatSystem"],
+            [this.combatSystem, "conditionManager", "CombatSystem"],
+            [this.combatSystem, "pathfinding", "CombatSystem"],
+            [this.combatSystem, "progressionManager", "CombatSystem"],
+            [this.combatSystem, "grappleManager", "CombatSystem"],
+            [this.combatSystem, "injuryManager", "CombatSystem"],
+            [this.combatSystem, "healingManager", "CombatSystem"],
+            [this.combatSystem, "inventoryManager", "CombatSystem"],
+            [this.combatSystem, "presenceManager", "CombatSystem"],
+            [this.combatSystem, "abilityManager", "CombatSystem"],
+            [this.combatSystem, "spellManager", "CombatSystem"],
+            [this.gameStateManager, "random", "GameStateManager"],
+            [this.gameStateManager, "lootManager", "GameStateManager"],
+            [this.gameStateManager, "moraleManager", "GameStateManager"],
+            [this.gameStateManager, "grappleManager", "GameStateManager"],
+            [this.gameStateManager, "injuryManager", "GameStateManager"],
+            [this.gameStateManager, "healingManager", "GameStateManager"],
+            [this.gameStateManager, "inventoryManager", "GameStateManager"],
+            [this.gameStateManager, "presenceManager", "GameStateManager"],
+            [this.gameStateManager, "abilityManager", "GameStateManager"],
+            [this.gameStateManager, "spellManager", "GameStateManager"],
+            [this.gameStateManager.aiSystem, "random", "AISystem"],
+            [this.gameStateManager.aiSystem, "moraleManager", "AISystem"],
+            [this.gameStateManager.aiSystem, "presenceManager", "AISystem"],
+            [this.gameStateManager.aiSystem, "abilityManager", "AISystem"],
+            [this.gameStateManager.aiSystem, "spellManager", "AISystem"],
         ];
         for (const [module, prop, name] of deferredChecks) {
             if (!module[prop]) {
@@ -199,7 +302,15 @@ export class Game {
         // GameStateManager callbacks
         this.gameStateManager.onStateChange = (newState, oldState) => {
             this.updateGameStateUI();
+            // Looting is exploration-only
+            if (newState !== GAME_STATES.EXPLORATION) this.uiManager.hideLootWindow();
+            // Use buttons only show in the input phase, and items may have been used up
+            this.refreshInventoryPanel();
         };
+        this.gameStateManager.onCombatResolved = (result) => {
+            this.uiManager.showCombatResult(result);
+        };
+        this.gameStateManager.onInventoryChange = () => this.refreshInventoryPanel();
 
         // HexGridRenderer dependencies
         this.hexGridRenderer.setDependencies({
@@ -209,6 +320,8 @@ export class Game {
             inputHandler: this.inputHandler,
             pathfinding: this.pathfinding,
             engagementManager: this.engagementManager,
+            combatSystem: this.combatSystem,
+            combatInputHandler: this.combatInputHandler,
         });
 
         // CharacterRenderer dependencies
@@ -260,6 +373,18 @@ export class Game {
             this.updateMarkedHexCount();
         };
 
+        this.inputHandler.onLootRequest = (container) => {
+            this.openLootWindow(container);
+        };
+
+        this.inputHandler.onInventoryToggle = () => {
+            if (this.uiManager.isInventoryPanelOpen()) {
+                this.uiManager.hideInventoryPanel();
+            } else {
+                this.openInventoryPanel();
+            }
+        };
+
         // AssetManager callbacks (removed - now called at end of init())
         // this.assetManager.onComplete is not used anymore
 
@@ -291,6 +416,19 @@ export class Game {
             onClearHexes: () => {
                 this.inputHandler.clearMarkedHexes();
                 this.updateMarkedHexCount();
+            },
+            onCombatSeedChange: (e) => {
+                // Empty input unpins (fresh seed each combat)
+                const seed = Random.parseSeed(e.target.value);
+                this.random.pinSeed(seed);
+                this.logger.info(seed === null ? 'Combat seed: random' : `Combat seed pinned: ${seed}`);
+            },
+            onCombatResultContinue: () => {
+                this.uiManager.hideCombatResult();
+            },
+            onCombatResultReload: () => {
+                // Game over - start fresh from the last page load
+                window.location.reload();
             }
         });
     }
@@ -400,6 +538,10 @@ export class Game {
             // Update systems with delta time
             this.movementSystem.updateMovement(deltaTime);
             this.movementSystem.updateAnimations(deltaTime);
+            this.gameStateManager.recoverExplorationStamina(deltaTime);
+            this.gameStateManager.recoverExplorationMana(deltaTime);
+            this.gameStateManager.healInjuriesOverTime(deltaTime);
+            this.gameStateManager.updateRest(deltaTime);
             this.inputHandler.updateKeyboardScrolling();
 
             // Update combat log if in combat
@@ -441,6 +583,55 @@ export class Game {
         this.uiManager.updateMarkedHexCount(count);
     }
 
+    /**
+     * Open the loot window for a defeated character (PC must be adjacent - checked by InputHandler)
+     * Window re-renders after each take and closes once the body is empty
+     */
+    openLootWindow(container) {
+        if (!this.lootManager.isLootable(container)) {
+            this.logger.info(`Nothing left to take from ${container.name}`);
+            this.uiManager.hideLootWindow();
+            return;
+        }
+
+        this.uiManager.showLootWindow(container, {
+            onTake: (index) => {
+                this.lootManager.takeItem(container, index, this.state.pc);
+                this.gameStateManager.saveInventory();
+                this.openLootWindow(container);
+            },
+            onTakeAll: () => {
+                this.lootManager.takeAll(container, this.state.pc);
+                this.gameStateManager.saveInventory();
+                this.uiManager.hideLootWindow();
+            },
+            onClose: () => this.uiManager.hideLootWindow()
+        });
+    }
+
+    /**
+     * Open the PC's inventory panel - in the combat input phase consumables can be used from it
+     * (picks the item and activates use mode; the next click chooses the target)
+     */
+    openInventoryPanel() {
+        const pc = this.state.pc;
+        const onUse = this.gameStateManager.isInCombatInput() ? (itemKey) => {
+            if (this.gameStateManager.setPlayerUseItem(itemKey)) this.combatInputHandler.activateUseMode();
+        } : null;
+
+        this.uiManager.showInventoryPanel(pc, this.inventoryManager.getCarriedWeight(pc), {
+            onUse,
+            onClose: () => this.uiManager.hideInventoryPanel()
+        });
+    }
+
+    /**
+     * Re-render the inventory panel if it is open (after items change or the game state moves on)
+     */
+    refreshInventoryPanel() {
+        if (this.uiManager.isInventoryPanelOpen()) this.openInventoryPanel();
+    }
+
     getCharacterAtHex(q, r) {
         // Check PC first
         if (this.state.pc.hexQ === q && this.state.pc.hexR === r) {
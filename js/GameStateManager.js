@@ -1,5 +1,7 @@
 import { AISystem } from './AISystem.js';
-import { hexKey } from './const.js';
+import { hexKey, ARMOR_WEAR, createAmmo, STAMINA, MANA, HIT_LOCATIONS, REST, ITEMS, PRESENCE, ABILITIES, SPELLS, SPELL_SCHOOLS, canAffordStamina, isInstantSwap, restorePrimaryWeaponSet, recoverStamina, recoverMana } from './const.js';
+import { areHostile } from './utils.js';
+import { CharacterFactory } from './CharacterFactory.js';
 
 export const GAME_STATES = {
     EXPLORATION: 'exploration',
@@ -11,11 +13,21 @@ export const GAME_STATES = {
 export const COMBAT_ACTIONS = {
     MOVE: 'move',
     WAIT: 'wait',
-    ATTACK: 'attack'
+    ATTACK: 'attack',
+    DEFEND: 'defend',
+    FLEE: 'flee',
+    SHOVE: 'shove',
+    GRAPPLE: 'grapple',
+    USE: 'use',
+    SWAP: 'swap',
+    INTIMIDATE: 'intimidate',
+    TAUNT: 'taunt',
+    ABILITY: 'ability',
+    CAST: 'cast'
 };
 
 export class GameStateManager {
-    constructor(game, hexGrid, getCharacterAtHex, movementSystem, combatSystem, pathfinding, logger, gameInstance, combatExecutor, engagementManager) {
+    constructor(game, hexGrid, getCharacterAtHex, movementSystem, combatSystem, pathfinding, logger, gameInstance, combatExecutor, engagementManager, conditionManager) {
         this.game = game;
         this.hexGrid = hexGrid;
         this.getCharacterAtHex = getCharacterAtHex;
@@ -26,10 +38,34 @@ export class GameStateManager {
         this.gameInstance = gameInstance; // Full Game instance for accessing UI systems
         this.combatExecutor = combatExecutor;
         this.engagementManager = engagementManager;
-        this.aiSystem = new AISystem(hexGrid, getCharacterAtHex, pathfinding, logger);
+        this.conditionManager = conditionManager;
+        this.aiSystem = new AISystem(hexGrid, getCharacterAtHex, pathfinding, logger, combatSystem);
+
+        // Dependencies (set via deferred assignment)
+        this.random = null;
+        this.lootManager = null;
+        this.moraleManager = null;
+        this.grappleManager = null;
+        this.injuryManager = null;
+        this.healingManager = null;
+        this.inventoryManager = null;
+        this.presenceManager = null;
+        this.abilityManager = null;
+        this.spellManager = null;
 
         // Wire CombatExecutor callbacks
         this.combatExecutor.onExecutionComplete = () => {
+            // PC broke contact with every hostile - combat is over for them
+            if (this.game.pc.hasFled) {
+                this.setState(GAME_STATES.EXPLORATION);
+                return;
+            }
+            // No hostile parties left (or PC down) - resolve combat automatically
+            const result = this.checkCombatResolution();
+            if (result) {
+                this.endCombat(result);
+                return;
+            }
             this.turnNumber++;
             this.setState(GAME_STATES.COMBAT_INPUT);
         };
@@ -38,6 +74,11 @@ export class GameStateManager {
             if (combatIndex !== -1) {
                 this.combatCharacters.splice(combatIndex, 1);
             }
+            this.grappleManager.release(character);
+            // Bodies become loot containers (a fallen PC is game over, nothing to loot)
+            if (character !== this.game.pc) {
+                this.lootManager.createLootContainer(character);
+            }
         };
         this.combatExecutor.onClearRecentlyHit = () => this.clearRecentlyHitCharacters();
         this.combatExecutor.onClearPlayerSelection = (character) => {
@@ -46,6 +87,20 @@ export class GameStateManager {
             }
         };
         this.combatExecutor.onUpdateEngagement = (character) => this.engagementManager.updateEngagement(character);
+        this.combatExecutor.onCharacterFled = (character) => {
+            const combatIndex = this.combatCharacters.indexOf(character);
+            if (combatIndex !== -1) {
+                this.combatCharacters.splice(combatIndex, 1);
+            }
+        };
+        this.combatExecutor.onCharacterSurrendered = (character) => {
+            this.moraleManager.surrender(character, [this.game.pc, ...this.game.npcs]);
+            this.grappleManager.release(character);
+            const combatIndex = this.combatCharacters.indexOf(character);
+            if (combatIndex !== -1) {
+                this.combatCharacters.splice(combatIndex, 1);
+            }
+        };
 
         // State
         this.currentState = GAME_STATES.EXPLORATION;
@@ -54,17 +109,29 @@ export class GameStateManager {
         this.turnNumber = 1;
         this.combatCharacters = [];
         this.characterActions = new Map();
+        this.combatParticipants = [];    // Everyone present at combat start (for the result summary)
+        this.hostilitiesSeen = false;    // Auto-resolution only once a fight has actually broken out
+        this.lastCombatResult = null;    // { outcome, rounds, survivors, casualties, fled, surrendered } of the last resolved combat
+
+        // Exploration rest (null when not resting)
+        this.rest = null;                // { remaining, tickTimer } in ms
 
         // Input phase data
         this.playerSelectedHex = null;
         this.playerSelectedAttackType = 'light';  // Current attack type for player
+        this.playerCalledShot = null;             // HIT_LOCATIONS key aimed at, or null for a random location
         this.playerLastAttackAction = null;       // Remember last attack for Enter repeat
+        this.playerSelectedItem = null;           // ITEMS key of the consumable the USE action spends
+        this.playerSelectedAbility = null;        // ABILITIES key the ABILITY action uses
+        this.playerSelectedSpell = null;          // SPELLS key the CAST action uses
 
         // Track characters that were just hit (show their health bar temporarily)
         this.recentlyHitCharacters = new Set();
 
-        // UI update callback
+        // UI update callbacks
         this.onStateChange = null;
+        this.onCombatResolved = null;
+        this.onInventoryChange = null;
     }
 
     setState(newState) {
@@ -102,11 +169,18 @@ export class GameStateManager {
 
         // Log combat start or new round
         if (this.turnNumber === 1) {
-            this.logger.combat('=== COMBAT START ===');
+            // Fresh (or pinned) seed per fight - logged so the fight can be replayed exactly
+            const seed = this.random.reseedForCombat();
+            this.logger.combat(`=== COMBAT START === (seed ${seed})`);
         } else {
             this.logger.combat(`--- Round ${this.turnNumber} ---`);
+            this.tickConditions();
+            this.attemptGrappleEscapes();
         }
 
+        // Defend stances only last for the round they were chosen in
+        this.clearDefendStances();
+
         // Stop any current movement
         this.game.pc.isMoving = false;
         this.game.pc.movementQueue = [];
@@ -114,14 +188,29 @@ export class GameStateManager {
             this.game.pc.currentAnimation = 'idle';
         }
 
-        // Build list of ALL living characters (not just enemies)
+        // Build list of ALL living characters (not just enemies) that haven't fled or surrendered
         this.combatCharacters = [];
-        if (!this.game.pc.isDefeated) {
+        if (!this.game.pc.isDefeated && !this.game.pc.hasFled) {
             this.combatCharacters.push(this.game.pc);
         }
-        const livingNPCs = this.game.npcs.filter(npc => !npc.isDefeated);
+        const livingNPCs = this.game.npcs.filter(npc => !npc.isDefeated && !npc.hasFled && !npc.hasSurrendered);
         this.combatCharacters.push(...livingNPCs);
 
+        if (this.turnNumber === 1) {
+            this.combatParticipants = [...this.combatCharacters];
+            this.moraleManager.beginCombat(this.combatParticipants);
+            // Seen up front: the whole opposing side may flee or surrender before any round ends
+            this.hostilitiesSeen = this.hostilesRemain();
+            this.lastCombatResult = null;
+        } else {
+            // Condition ticks may have finished off the last hostile (or the PC)
+            const result = this.checkCombatResolution();
+            if (result) {
+                this.endCombat(result);
+                return;
+            }
+        }
+
         // Reset input data
         this.characterActions.clear();
         this.playerSelectedHex = null;
@@ -130,6 +219,237 @@ export class GameStateManager {
         // processAITurns() is called after player selects their action
     }
 
+    /**
+     * Tick conditions on all living characters at round start (bleed damage, expiry)
+     * Characters killed by tick damage are defeated before the round's input phase
+     */
+    tickConditions() {
+        const living = [this.game.pc, ...this.game.npcs].filter(char => !char.isDefeated);
+        for (const character of living) {
+            const { damage, defeated } = this.conditionManager.tickConditions(character);
+            if (damage > 0) this.markCharacterHit(character);
+            if (defeated) {
+                this.logger.combat(`{{char:${character.name}}} has been defeated!`);
+                this.combatExecutor.handleCharacterDefeat(character);
+            }
+        }
+    }
+
+    /**
+     * Round start: every grappled character tries to break free
+     */
+    attemptGrappleEscapes() {
+        const grappled = [this.game.pc, ...this.game.npcs].filter(char => !char.isDefeated && char.grappledBy);
+        for (const character of grappled) {
+            this.grappleManager.tryBreakFree(character);
+        }
+    }
+
+    /**
+     * Check whether combat is over: PC defeated, or no two remaining combatants are hostile
+     * Returns a result object { outcome: 'victory'|'defeat', rounds, survivors, casualties, fled, surrendered }, or null to keep fighting
+     */
+    checkCombatResolution() {
+        const pc = this.game.pc;
+        const hostilesRemain = this.hostilesRemain();
+        if (hostilesRemain) this.hostilitiesSeen = true;
+
+        let outcome = null;
+        if (pc.isDefeated) {
+            outcome = 'defeat';
+        } else if (this.hostilitiesSeen && !hostilesRemain) {
+            outcome = 'victory';
+        }
+        if (!outcome) return null;
+
+        return {
+            outcome,
+            rounds: this.turnNumber,
+            survivors: this.combatParticipants.filter(char => !char.isDefeated && !char.hasFled && !char.hasSurrendered),
+            casualties: this.combatParticipants.filter(char => char.isDefeated),
+            fled: this.combatParticipants.filter(char => char.hasFled),
+            surrendered: this.combatParticipants.filter(char => char.hasSurrendered)
+        };
+    }
+
+    /**
+     * Check whether any two combatants still in the fight are hostile to each other
+     */
+    hostilesRemain() {
+        const remaining = this.combatCharacters.filter(char => !char.isDefeated && !char.hasFled);
+        return remaining.some((a, i) => remaining.slice(i + 1).some(b => areHostile(a, b)));
+    }
+
+    /**
+     * End combat with a resolved result: log it, return to exploration and notify the UI
+     */
+    endCombat(result) {
+        this.lastCombatResult = result;
+        const casualtyNames = result.casualties.map(char => `{{char:${char.name}}}`).join(', ') || 'none';
+        this.logger.combat(`=== ${result.outcome.toUpperCase()} === (${result.rounds} round${result.rounds === 1 ? '' : 's'}, casualties: ${casualtyNames})`);
+
+        this.setState(GAME_STATES.EXPLORATION);
+        if (this.onCombatResolved) this.onCombatResolved(result);
+    }
+
+    /**
+     * Outside combat everyone catches their breath (STAMINA.explorationRecoveryPerSecond)
+     * Called every frame by the game loop
+     */
+    recoverExplorationStamina(deltaTime) {
+        if (this.isInCombat()) return;
+        const amount = STAMINA.explorationRecoveryPerSecond * deltaTime / 1000;
+        [this.game.pc, ...this.game.npcs]
+            .filter(char => !char.isDefeated && char.stamina < char.maxStamina)
+            .forEach(char => recoverStamina(char, amount));
+    }
+
+    /**
+     * Outside combat spellcasters' mana refills (MANA.explorationRecoveryPerSecond)
+     * Called every frame by the game loop
+     */
+    recoverExplorationMana(deltaTime) {
+        if (this.isInCombat()) return;
+        const amount = MANA.explorationRecoveryPerSecond * deltaTime / 1000;
+        [this.game.pc, ...this.game.npcs]
+            .filter(char => !char.isDefeated && char.mana < char.maxMana)
+            .forEach(char => recoverMana(char, amount));
+    }
+
+    /**
+     * Exploration: injuries heal on their own over time
+     * The party's saved builds are updated as soon as an injury heals
+     */
+    healInjuriesOverTime(deltaTime) {
+        if (this.isInCombat()) return;
+        const injured = [this.game.pc, ...this.game.npcs].filter(char => !char.isDefeated && char.injuries?.length > 0);
+        for (const character of injured) {
+            const healed = this.injuryManager.healOverTime(character, deltaTime / 1000);
+            if (healed.length > 0) CharacterFactory.saveBuilds([character], this.game.pc);
+        }
+    }
+
+    /**
+     * Living pc/pc_ally characters (the player's party)
+     */
+    getParty() {
+        return [this.game.pc, ...this.game.npcs].filter(char =>
+            !char.isDefeated && (char.faction === 'pc' || char.faction === 'pc_ally'));
+    }
+
+    /**
+     * Start resting in exploration (refused with hostiles nearby or nobody hurt)
+     * The party regains HP every REST.tickSeconds for REST.durationSeconds - see updateRest
+     */
+    startRest() {
+        if (this.currentState !== GAME_STATES.EXPLORATION || this.game.pc.isDefeated || this.rest) return false;
+
+        const party = this.getParty();
+        const hostile = this.findNearbyHostile(party, REST.interruptRange);
+        if (hostile) {
+            this.logger.info(`Can't rest with ${hostile.name} nearby`);
+            return false;
+        }
+        if (party.every(char => char.health >= char.maxHealth)) {
+            this.logger.info('No one needs to rest');
+            return false;
+        }
+
+        this.game.pc.isMoving = false;
+        this.game.pc.movementQueue = [];
+        this.rest = { remaining: REST.durationSeconds * 1000, tickTimer: 0 };
+        this.logger.info(`The party rests (${REST.durationSeconds}s)`);
+        return true;
+    }
+
+    /**
+     * Advance the current rest (called every frame by the game loop)
+     * Combat, the PC moving off or a hostile coming near interrupts it
+     */
+    updateRest(deltaTime) {
+        if (!this.rest) return;
+
+        if (this.currentState !== GAME_STATES.EXPLORATION || this.game.pc.isMoving) {
+            this.stopRest('Rest interrupted');
+            return;
+        }
+        const party = this.getParty();
+        const hostile = this.findNearbyHostile(party, REST.interruptRange);
+        if (hostile) {
+            this.stopRest(`Rest interrupted - ${hostile.name} approaches`);
+            return;
+        }
+
+        this.rest.remaining -= deltaTime;
+        this.rest.tickTimer += deltaTime;
+        if (this.rest.tickTimer >= REST.tickSeconds * 1000) {
+            this.rest.tickTimer -= REST.tickSeconds * 1000;
+            party.forEach(char => this.healingManager.heal(char, this.healingManager.getRestRegen(char), 'rest'));
+        }
+
+        if (this.rest.remaining <= 0 || party.every(char => char.health >= char.maxHealth)) {
+            this.stopRest('The party finishes resting');
+        }
+    }
+
+    stopRest(message) {
+        this.rest = null;
+        this.logger.info(message);
+    }
+
+    /**
+     * Most wounded party member (lowest health fraction) matching the filter, or null if nobody is hurt
+     */
+    getMostWoundedPartyMember(filter = () => true) {
+        return this.getParty()
+            .filter(char => char.health < char.maxHealth && filter(char))
+            .sort((a, b) => a.health / a.maxHealth - b.health / b.maxHealth)[0] || null;
+    }
+
+    /**
+     * PC gives first aid (wis check) to the most wounded party member not yet tended since the last fight (exploration only)
+     */
+    giveFirstAid() {
+        if (this.currentState !== GAME_STATES.EXPLORATION || this.game.pc.isDefeated) return false;
+
+        const patient = this.getMostWoundedPartyMember(char => !char.firstAidReceived);
+        if (!patient) {
+            this.logger.info('No wounds left to tend');
+            return false;
+        }
+        this.healingManager.attemptFirstAid(this.game.pc, patient);
+        return true;
+    }
+
+    /**
+     * Use a healing item from the PC's inventory on the most wounded party member (exploration only)
+     */
+    usePartyHealingItem() {
+        if (this.currentState !== GAME_STATES.EXPLORATION || this.game.pc.isDefeated) return false;
+
+        const patient = this.getMostWoundedPartyMember();
+        if (!patient) {
+            this.logger.info('No one is wounded');
+            return false;
+        }
+        const healed = this.healingManager.useHealingItem(patient, this.game.pc) > 0;
+        if (healed) this.saveInventory();
+        return healed;
+    }
+
+    /**
+     * Persist the party's inventories with their saved builds and refresh the inventory panel
+     */
+    saveInventory() {
+        CharacterFactory.saveBuilds(this.getParty(), this.game.pc);
+        if (this.onInventoryChange) this.onInventoryChange();
+    }
+
+    clearDefendStances() {
+        this.game.pc.isDefending = false;
+        this.game.npcs.forEach(npc => npc.isDefending = false);
+    }
+
     processAITurns() {
         // Build distance matrix once for all AI characters this turn
         this.aiSystem.beginTurn(this.combatCharacters);
@@ -174,8 +494,32 @@ export class GameStateManager {
             }
         });
 
-        // Clear engagement tracking
+        // Clear engagement tracking and defend stances
         this.engagementManager.clearAllEngagements(this.game.pc, this.game.npcs);
+        this.clearDefendStances();
+
+        // Conditions expire and grapples break when combat ends
+        this.conditionManager.clearAllConditions(this.game.pc, this.game.npcs);
+        this.grappleManager.releaseAll([this.game.pc, ...this.game.npcs]);
+
+        // Fresh wounds from the fight can be tended again
+        this.game.pc.firstAidReceived = false;
+        this.game.npcs.forEach(npc => npc.firstAidReceived = false);
+
+        // Fled characters rejoin the world
+        this.game.pc.hasFled = false;
+        this.game.npcs.forEach(npc => npc.hasFled = false);
+
+        // Swapped weapon sets are put back - the primary set is the one builds and templates know
+        restorePrimaryWeaponSet(this.game.pc);
+        this.game.npcs.forEach(npc => restorePrimaryWeaponSet(npc));
+
+        // Spent ammo is gathered back up after the fight
+        this.game.pc.ammo = createAmmo(this.game.pc.equipment);
+        this.game.npcs.forEach(npc => npc.ammo = createAmmo(npc.equipment));
+
+        // Skills trained, injuries taken and items used during the fight are kept in the party's saved builds
+        CharacterFactory.saveBuilds([this.game.pc, ...this.game.npcs], this.game.pc);
 
         // Return all living characters to idle
         this.game.pc.currentAnimation = 'idle';
@@ -190,7 +534,7 @@ export class GameStateManager {
     }
 
     canPlayerMove() {
-        return this.currentState === GAME_STATES.EXPLORATION;
+        return this.currentState === GAME_STATES.EXPLORATION && !this.game.pc.isDefeated;
     }
 
     isInCombat() {
@@ -208,6 +552,7 @@ export class GameStateManager {
 
     toggleCombat() {
         if (this.currentState === GAME_STATES.EXPLORATION) {
+            if (this.game.pc.isDefeated) return; // Game over - only a reload brings the PC back
             this.setState(GAME_STATES.COMBAT_INPUT);
         } else {
             this.setState(GAME_STATES.EXPLORATION);
@@ -229,10 +574,371 @@ export class GameStateManager {
         return true;
     }
 
-    selectPlayerMoveTarget(hexQ, hexR) {
+    /**
+     * Player takes a defensive stance for the round (key 3)
+     */
+    selectPlayerDefend() {
+        if (this.currentState !== GAME_STATES.COMBAT_INPUT) return false;
+        if (this.characterActions.has(this.game.pc)) return false; // Already chosen
+
+        this.characterActions.set(this.game.pc, {
+            action: COMBAT_ACTIONS.DEFEND,
+            target: null
+        });
+
+        // Player has chosen, now AI makes their decisions
+        this.processAITurns();
+        return true;
+    }
+
+    /**
+     * Player swaps to the secondary weapon set (key X)
+     * Timed in the action phase (see calculateSwapSpeed); a swap that only drops the shield is instant
+     */
+    selectPlayerSwap() {
+        if (this.currentState !== GAME_STATES.COMBAT_INPUT) return false;
+        if (this.characterActions.has(this.game.pc)) return false; // Already chosen
+
+        const pc = this.game.pc;
+        if (!pc.secondaryEquipment) {
+            this.logger.info('No secondary weapon set to swap to');
+            return false;
+        }
+
+        this.characterActions.set(pc, {
+            action: COMBAT_ACTIONS.SWAP,
+            target: null,
+            instant: isInstantSwap(pc)
+        });
+
+        // Player has chosen, now AI makes their decisions
+        this.processAITurns();
+        return true;
+    }
+
+    /**
+     * Player shoves an adjacent enemy one hex away (key 5, then click)
+     * Needs the stamina for it; resolves in the action phase at light attack speed
+     */
+    selectPlayerShoveTarget(hexQ, hexR) {
+        if (this.currentState !== GAME_STATES.COMBAT_INPUT) return false;
+        if (this.characterActions.has(this.game.pc)) return false; // Already chosen
+
+        const distance = this.hexGrid.hexDistance(
+            { q: this.game.pc.hexQ, r: this.game.pc.hexR },
+            { q: hexQ, r: hexR }
+        );
+        const target = this.getCharacterAtHex(hexQ, hexR);
+        if (distance !== 1 || !target || target.isDefeated || target.faction === this.game.pc.faction) {
+            return false;
+        }
+        if (!this.canPlayerActAgainst(hexQ, hexR)) return false;
+
+        if (!canAffordStamina(this.game.pc, 'shove')) {
+            this.logger.info(`Too exhausted to shove (stamina ${Math.floor(this.game.pc.stamina)}/${this.game.pc.maxStamina}) - attack light or wait`);
+            return false;
+        }
+
+        this.playerSelectedHex = { q: hexQ, r: hexR };
+        this.characterActions.set(this.game.pc, {
+            action: COMBAT_ACTIONS.SHOVE,
+            target: { q: hexQ, r: hexR }
+        });
+
+        // Player has chosen, now AI makes their decisions
+        this.processAITurns();
+        return true;
+    }
+
+    /**
+     * Player grapples an adjacent enemy (key 6, then click) - unarmed only
+     * Neither side may already be in a grapple; resolves in the action phase at light attack speed
+     */
+    selectPlayerGrappleTarget(hexQ, hexR) {
+        if (this.currentState !== GAME_STATES.COMBAT_INPUT) return false;
+        if (this.characterActions.has(this.game.pc)) return false; // Already chosen
+
+        const pc = this.game.pc;
+        if (pc.equipment.mainHand !== 'unarmed') {
+            this.logger.info('Grappling needs empty hands (unarmed)');
+            return false;
+        }
+        if (this.grappleManager.isLocked(pc)) {
+            this.logger.info('Already locked in a grapple');
+            return false;
+        }
+
+        const distance = this.hexGrid.hexDistance({ q: pc.hexQ, r: pc.hexR }, { q: hexQ, r: hexR });
+        const target = this.getCharacterAtHex(hexQ, hexR);
+        if (distance !== 1 || !target || target.isDefeated || target.faction === pc.faction) {
+            return false;
+        }
+        if (this.grappleManager.isLocked(target)) {
+            this.logger.info(`${target.name} is already in a grapple`);
+            return false;
+        }
+
+        if (!canAffordStamina(pc, 'grapple')) {
+            this.logger.info(`Too exhausted to grapple (stamina ${Math.floor(pc.stamina)}/${pc.maxStamina}) - attack light or wait`);
+            return false;
+        }
+
+        this.playerSelectedHex = { q: hexQ, r: hexR };
+        this.characterActions.set(pc, {
+            action: COMBAT_ACTIONS.GRAPPLE,
+            target: { q: hexQ, r: hexR }
+        });
+
+        // Player has chosen, now AI makes their decisions
+        this.processAITurns();
+        return true;
+    }
+
+    /**
+     * Player intimidates an enemy (key 9, then click) - a won presence contest leaves it shaken
+     */
+    selectPlayerIntimidateTarget(hexQ, hexR) {
+        return this.selectPlayerPresenceTarget(hexQ, hexR, COMBAT_ACTIONS.INTIMIDATE);
+    }
+
+    /**
+     * Player taunts an enemy (key 0, then click) - a won presence contest makes it go after the PC next round
+     */
+    selectPlayerTauntTarget(hexQ, hexR) {
+        return this.selectPlayerPresenceTarget(hexQ, hexR, COMBAT_ACTIONS.TAUNT);
+    }
+
+    /**
+     * Shared INTIMIDATE/TAUNT selection: a hostile within PRESENCE.range in clear line of sight
+     * Resolves in the action phase at light attack speed
+     */
+    selectPlayerPresenceTarget(hexQ, hexR, action) {
+        if (this.currentState !== GAME_STATES.COMBAT_INPUT) return false;
+        if (this.characterActions.has(this.game.pc)) return false; // Already chosen
+
+        const pc = this.game.pc;
+        const pcHex = { q: pc.hexQ, r: pc.hexR };
+        const target = this.getCharacterAtHex(hexQ, hexR);
+        if (!target || target.isDefeated || target.faction === pc.faction) return false;
+        if (this.hexGrid.hexDistance(pcHex, { q: hexQ, r: hexR }) > PRESENCE.range) return false;
+        if (!this.combatSystem.checkLineOfSight(pcHex, { q: hexQ, r: hexR }).clear) {
+            this.logger.info(`No line of sight to ${target.name}`);
+            return false;
+        }
+        if (!this.canPlayerActAgainst(hexQ, hexR)) return false;
+
+        this.playerSelectedHex = { q: hexQ, r: hexR };
+        this.characterActions.set(pc, {
+            action,
+            target: { q: hexQ, r: hexR }
+        });
+
+        // Player has chosen, now AI makes their decisions
+        this.processAITurns();
+        return true;
+    }
+
+    /**
+     * Cycle the ABILITY action through the PC's abilities (key Q)
+     * Returns the selected ABILITIES key, or null if the PC has none
+     */
+    cyclePlayerAbility() {
+        const keys = this.abilityManager.getAbilities(this.game.pc);
+        if (keys.length === 0) {
+            this.playerSelectedAbility = null;
+            this.logger.info('No abilities known');
+            return null;
+        }
+        const next = keys[(keys.indexOf(this.playerSelectedAbility) + 1) % keys.length];
+        this.playerSelectedAbility = next;
+        const ability = ABILITIES[next];
+        this.logger.info(`Ability: ${ability.name} (${ability.cost.stamina} stamina) - click ${ability.target === 'self' ? 'yourself' : `a target within ${ability.range}`}`);
+        return next;
+    }
+
+    /**
+     * Player uses the selected ability on a hex (key Q, then click) - resolves in the action phase
+     * The hex must fit the ability's range and target type (AbilityManager.isValidTarget)
+     */
+    selectPlayerAbilityTarget(hexQ, hexR) {
         if (this.currentState !== GAME_STATES.COMBAT_INPUT) return false;
         if (this.characterActions.has(this.game.pc)) return false; // Already chosen
 
+        const pc = this.game.pc;
+        const abilityKey = this.playerSelectedAbility;
+        if (!abilityKey || !this.abilityManager.hasAbility(pc, abilityKey)) {
+            this.logger.info('Pick an ability first (key Q)');
+            return false;
+        }
+        if (!this.abilityManager.isValidTarget(pc, abilityKey, { q: hexQ, r: hexR }, this.getCharacterAtHex(hexQ, hexR))) return false;
+        if (ABILITIES[abilityKey].target === 'enemy' && !this.canPlayerActAgainst(hexQ, hexR)) return false;
+        if (!this.abilityManager.canAfford(pc, abilityKey)) {
+            this.logger.info(`Too exhausted for ${ABILITIES[abilityKey].name} (stamina ${Math.floor(pc.stamina)}/${pc.maxStamina})`);
+            return false;
+        }
+
+        this.playerSelectedHex = { q: hexQ, r: hexR };
+        this.characterActions.set(pc, {
+            action: COMBAT_ACTIONS.ABILITY,
+            target: { q: hexQ, r: hexR },
+            abilityKey
+        });
+
+        // Player has chosen, now AI makes their decisions
+        this.processAITurns();
+        return true;
+    }
+
+    /**
+     * Cycle the CAST action through the PC's known spells (key M)
+     * Returns the selected SPELLS key, or null if the PC knows none
+     */
+    cyclePlayerSpell() {
+        const keys = this.spellManager.getKnownSpells(this.game.pc);
+        if (keys.length === 0) {
+            this.playerSelectedSpell = null;
+            this.logger.info('No spells known');
+            return null;
+        }
+        const next = keys[(keys.indexOf(this.playerSelectedSpell) + 1) % keys.length];
+        this.playerSelectedSpell = next;
+        const spell = SPELLS[next];
+        this.logger.info(`Spell: ${spell.name} (${SPELL_SCHOOLS[spell.school].name}, ${spell.mana} mana) - click ${spell.target === 'hex' ? 'a hex' : 'a target'} within ${spell.range}`);
+        return next;
+    }
+
+    /**
+     * Player casts the selected spell at a hex (key M, then click) - resolves in the action phase
+     * The hex must fit the spell's range and target type (SpellManager.isValidTarget) and be in clear line of sight
+     */
+    selectPlayerCastTarget(hexQ, hexR) {
+        if (this.currentState !== GAME_STATES.COMBAT_INPUT) return false;
+        if (this.characterActions.has(this.game.pc)) return false; // Already chosen
+
+        const pc = this.game.pc;
+        const pcHex = { q: pc.hexQ, r: pc.hexR };
+        const spellKey = this.playerSelectedSpell;
+        if (!spellKey || !this.spellManager.knowsSpell(pc, spellKey)) {
+            this.logger.info('Pick a spell first (key M)');
+            return false;
+        }
+        const target = this.getCharacterAtHex(hexQ, hexR);
+        if (!this.spellManager.isValidTarget(pc, spellKey, { q: hexQ, r: hexR }, target)) return false;
+        if (!this.combatSystem.checkLineOfSight(pcHex, { q: hexQ, r: hexR }).clear) {
+            this.logger.info('No line of sight');
+            return false;
+        }
+        const heldTarget = this.spellManager.getHeldTarget(pc, spellKey, { q: hexQ, r: hexR }, this.combatCharacters);
+        if (heldTarget && !this.canPlayerActAgainst(heldTarget.hexQ, heldTarget.hexR)) return false;
+        if (!this.spellManager.canAfford(pc, spellKey)) {
+            this.logger.info(`Not enough mana for ${SPELLS[spellKey].name} (mana ${Math.floor(pc.mana)}/${pc.maxMana})`);
+            return false;
+        }
+
+        this.playerSelectedHex = { q: hexQ, r: hexR };
+        this.characterActions.set(pc, {
+            action: COMBAT_ACTIONS.CAST,
+            target: { q: hexQ, r: hexR },
+            spellKey
+        });
+
+        // Player has chosen, now AI makes their decisions
+        this.processAITurns();
+        return true;
+    }
+
+    /**
+     * Select the consumable the USE action spends (inventory panel, or cycled with key 7)
+     * Returns false if the PC doesn't carry it
+     */
+    setPlayerUseItem(itemKey) {
+        if (!this.inventoryManager.getConsumables(this.game.pc).some(item => item.key === itemKey)) return false;
+        this.playerSelectedItem = itemKey;
+        this.logger.info(`Use item: ${ITEMS[itemKey].name} - click a target`);
+        return true;
+    }
+
+    /**
+     * Cycle the USE item through the PC's carried consumables (key 7)
+     * Returns the selected ITEMS key, or null if the PC carries none
+     */
+    cyclePlayerUseItem() {
+        const keys = this.inventoryManager.getConsumables(this.game.pc).map(item => item.key);
+        if (keys.length === 0) {
+            this.playerSelectedItem = null;
+            this.logger.info('No usable items carried');
+            return null;
+        }
+        const next = keys[(keys.indexOf(this.playerSelectedItem) + 1) % keys.length];
+        this.setPlayerUseItem(next);
+        return next;
+    }
+
+    /**
+     * Player uses the selected item on a hex (key 7 or inventory panel, then click) - spends the turn
+     * Heal/cure items: yourself or an adjacent ally. Thrown items: a character within the item's
+     * maxRange with a clear line of sight. The item is only used up when the action resolves
+     */
+    selectPlayerUseTarget(hexQ, hexR) {
+        if (this.currentState !== GAME_STATES.COMBAT_INPUT) return false;
+        if (this.characterActions.has(this.game.pc)) return false; // Already chosen
+
+        const pc = this.game.pc;
+        const itemKey = this.playerSelectedItem;
+        if (!itemKey || !this.inventoryManager.hasItem(pc, itemKey)) {
+            this.logger.info('Pick an item to use first (key 7 or the inventory panel)');
+            return false;
+        }
+
+        const item = ITEMS[itemKey];
+        const pcHex = { q: pc.hexQ, r: pc.hexR };
+        const distance = this.hexGrid.hexDistance(pcHex, { q: hexQ, r: hexR });
+        const target = this.getCharacterAtHex(hexQ, hexR);
+        if (!target || target.isDefeated) return false;
+
+        if (item.thrown) {
+            if (target === pc || distance > item.thrown.maxRange) return false;
+            if (!this.combatSystem.checkLineOfSight(pcHex, { q: hexQ, r: hexR }).clear) {
+                this.logger.info(`No line of sight to ${target.name}`);
+                return false;
+            }
+            if (!this.canPlayerActAgainst(hexQ, hexR)) return false;
+        } else if (target !== pc && (distance !== 1 || target.faction !== pc.faction)) {
+            return false;
+        }
+
+        this.playerSelectedHex = { q: hexQ, r: hexR };
+        this.characterActions.set(pc, {
+            action: COMBAT_ACTIONS.USE,
+            target: { q: hexQ, r: hexR },
+            itemKey
+        });
+
+        // Player has chosen, now AI makes their decisions
+        this.processAITurns();
+        return true;
+    }
+
+    /**
+     * Check the grapple lets the PC act against whoever stands on a hex (logs why not)
+     */
+    canPlayerActAgainst(hexQ, hexR) {
+        const pc = this.game.pc;
+        if (this.grappleManager.canAttack(pc, this.getCharacterAtHex(hexQ, hexR))) return true;
+        this.logger.info(`Held by ${pc.grappledBy.name} - you can only fight back against them`);
+        return false;
+    }
+
+    /**
+     * Check if hex is a valid one-step destination for the player (adjacent, unoccupied, not blocked)
+     */
+    isValidPlayerStep(hexQ, hexR) {
+        // Locked in a grapple - nobody leaves their hex until it breaks
+        if (this.grappleManager.isLocked(this.game.pc)) {
+            this.logger.info('Locked in a grapple - attack or wait for it to break');
+            return false;
+        }
+
         // Check if hex is adjacent to player
         const distance = this.hexGrid.hexDistance(
             { q: this.game.pc.hexQ, r: this.game.pc.hexR },
@@ -254,6 +960,14 @@ export class GameStateManager {
             return false;
         }
 
+        return true;
+    }
+
+    selectPlayerMoveTarget(hexQ, hexR) {
+        if (this.currentState !== GAME_STATES.COMBAT_INPUT) return false;
+        if (this.characterActions.has(this.game.pc)) return false; // Already chosen
+        if (!this.isValidPlayerStep(hexQ, hexR)) return false;
+
         // Valid selection
         this.playerSelectedHex = { q: hexQ, r: hexR };
         this.characterActions.set(this.game.pc, {
@@ -266,6 +980,26 @@ export class GameStateManager {
         return true;
     }
 
+    /**
+     * Player flees to an adjacent hex (key 4, then click)
+     * Engaging enemies get a free attack before the move resolves
+     */
+    selectPlayerFleeTarget(hexQ, hexR) {
+        if (this.currentState !== GAME_STATES.COMBAT_INPUT) return false;
+        if (this.characterActions.has(this.game.pc)) return false; // Already chosen
+        if (!this.isValidPlayerStep(hexQ, hexR)) return false;
+
+        this.playerSelectedHex = { q: hexQ, r: hexR };
+        this.characterActions.set(this.game.pc, {
+            action: COMBAT_ACTIONS.FLEE,
+            target: { q: hexQ, r: hexR }
+        });
+
+        // Player has chosen, now AI makes their decisions
+        this.processAITurns();
+        return true;
+    }
+
     /**
      * Player selects adjacent hex to attack
      * Attack type must be set before calling (via setPlayerAttackType)
@@ -274,13 +1008,17 @@ export class GameStateManager {
         if (this.currentState !== GAME_STATES.COMBAT_INPUT) return false;
         if (this.characterActions.has(this.game.pc)) return false; // Already chosen
 
-        // Check if hex is adjacent to player
-        const distance = this.hexGrid.hexDistance(
-            { q: this.game.pc.hexQ, r: this.game.pc.hexR },
-            { q: hexQ, r: hexR }
-        );
+        // Check hex is within weapon range (adjacent for melee; clear reach for polearms; range band, ammo and LOS for ranged)
+        if (!this.combatSystem.isInAttackRange(this.game.pc, hexQ, hexR)) {
+            return false;
+        }
 
-        if (distance !== 1) {
+        // A grappled PC can only strike back at whoever holds them
+        if (!this.canPlayerActAgainst(hexQ, hexR)) return false;
+
+        // Heavy attacks need the stamina to swing them
+        if (this.playerSelectedAttackType === 'heavy' && !canAffordStamina(this.game.pc, 'heavyAttack')) {
+            this.logger.info(`Too exhausted for a heavy attack (stamina ${Math.floor(this.game.pc.stamina)}/${this.game.pc.maxStamina}) - attack light or wait`);
             return false;
         }
 
@@ -288,7 +1026,8 @@ export class GameStateManager {
         const attackAction = {
             action: COMBAT_ACTIONS.ATTACK,
             target: { q: hexQ, r: hexR },
-            attackType: this.playerSelectedAttackType
+            attackType: this.playerSelectedAttackType,
+            calledShot: this.playerCalledShot
         };
 
         this.playerSelectedHex = { q: hexQ, r: hexR };
@@ -300,7 +1039,8 @@ export class GameStateManager {
                 q: hexQ - this.game.pc.hexQ,
                 r: hexR - this.game.pc.hexR
             },
-            attackType: this.playerSelectedAttackType
+            attackType: this.playerSelectedAttackType,
+            calledShot: this.playerCalledShot
         };
 
         // Player has chosen, now AI makes their decisions
@@ -319,6 +1059,22 @@ export class GameStateManager {
         return false;
     }
 
+    /**
+     * Cycle the player's called shot (C key): none → head → torso → arms → legs → none
+     * A called shot trades THC (HIT_LOCATIONS[key].calledShotPenalty) for the chosen hit location
+     */
+    cyclePlayerCalledShot() {
+        const options = [null, ...Object.keys(HIT_LOCATIONS)];
+        const next = options[(options.indexOf(this.playerCalledShot) + 1) % options.length];
+        this.playerCalledShot = next;
+        if (next) {
+            this.logger.info(`Called shot: ${HIT_LOCATIONS[next].name} (-${HIT_LOCATIONS[next].calledShotPenalty}% THC)`);
+        } else {
+            this.logger.info('Called shot: off (random hit location)');
+        }
+        return next;
+    }
+
     /**
      * Repeat last attack action (Enter key)
      * Uses same relative hex offset and attack type
@@ -332,12 +1088,68 @@ export class GameStateManager {
         const targetQ = this.game.pc.hexQ + this.playerLastAttackAction.targetOffset.q;
         const targetR = this.game.pc.hexR + this.playerLastAttackAction.targetOffset.r;
 
-        // Set the attack type to match last attack
+        // Set the attack type and called shot to match last attack
         this.playerSelectedAttackType = this.playerLastAttackAction.attackType;
+        this.playerCalledShot = this.playerLastAttackAction.calledShot;
 
         return this.selectPlayerAttackTarget(targetQ, targetR);
     }
 
+    /**
+     * First living hostile within range hexes of the party, or null
+     */
+    findNearbyHostile(party, range) {
+        return this.game.npcs.find(npc =>
+            !npc.isDefeated && !npc.hasSurrendered &&
+            party.some(member => areHostile(npc, member) &&
+                this.hexGrid.hexDistance({ q: npc.hexQ, r: npc.hexR }, { q: member.hexQ, r: member.hexR }) <= range)
+        ) || null;
+    }
+
+    /**
+     * Repair worn armor for the player's party (exploration only, refused with hostiles nearby)
+     * Restores every pc/pc_ally armor instance to max durability
+     */
+    repairPartyArmor() {
+        if (this.currentState !== GAME_STATES.EXPLORATION) return false;
+
+        const party = this.getParty();
+        const hostile = this.findNearbyHostile(party, ARMOR_WEAR.repairHostileRange);
+        if (hostile) {
+            this.logger.info(`Can't repair armor with ${hostile.name} nearby`);
+            return false;
+        }
+
+        let repaired = false;
+        for (const character of party) {
+            const armorInstance = character.armorInstance;
+            if (!armorInstance || armorInstance.durability >= armorInstance.maxDurability) continue;
+            this.logger.info(`${character.name} repaired ${armorInstance.key} (${armorInstance.durability} → ${armorInstance.maxDurability})`);
+            armorInstance.durability = armorInstance.maxDurability;
+            repaired = true;
+        }
+        return repaired;
+    }
+
+    /**
+     * Treat the party's injuries with bandages from the PC's inventory (exploration only)
+     * One bandage treats a character's worst injury; stops when bandages run out
+     */
+    treatPartyInjuries() {
+        if (this.currentState !== GAME_STATES.EXPLORATION) return false;
+
+        const party = this.getParty();
+
+        let treated = false;
+        for (const character of party) {
+            while (character.injuries.length > 0 && this.injuryManager.treatInjury(character, this.game.pc)) {
+                treated = true;
+            }
+        }
+        if (treated) this.saveInventory();
+        return treated;
+    }
+
     // For UI updates
     getEnemyCount() {
         return this.game.npcs.filter(npc => npc.faction === 'bandit').length;
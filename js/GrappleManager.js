@@ -0,0 +1,95 @@
+import { GRAPPLE } from './const.js';
+
+export class GrappleManager {
+    constructor(logger, random) {
+        const params = { logger, random };
+        for (const [name, param] of Object.entries(params)) {
+            if (!param) throw new Error(`GrappleManager: missing required '${name}'`);
+        }
+        this.logger = logger;
+        this.random = random; // Shared combat RNG - break free rolls stay replayable
+    }
+
+    /**
+     * Grapple contest score: str + dex + unarmed skill
+     */
+    getGrappleScore(character) {
+        return character.stats.str + character.stats.dex + (character.skills?.unarmed || 1);
+    }
+
+    /**
+     * Chance (%) for one character to win a grapple contest against another (see GRAPPLE in const.js)
+     */
+    calculateContestChance(attacker, defender, penalty = 0) {
+        const edge = this.getGrappleScore(attacker) - this.getGrappleScore(defender);
+        const chance = GRAPPLE.baseChance + edge * GRAPPLE.scoreMultiplier - penalty;
+        return Math.max(GRAPPLE.minChance, Math.min(GRAPPLE.maxChance, chance));
+    }
+
+    /**
+     * Lock grappler and target together: neither moves, and the target can only attack the grappler
+     */
+    startGrapple(grappler, target) {
+        grappler.grappling = target;
+        target.grappledBy = grappler;
+        target.isDefending = false;
+        this.logger.debug(`[GRAPPLE] ${grappler.name} holds ${target.name}`);
+    }
+
+    /**
+     * Grappled or grappling - either way the character can't leave its hex
+     */
+    isLocked(character) {
+        return !!(character.grappledBy || character.grappling);
+    }
+
+    /**
+     * A grappled character can only strike back at whoever holds it
+     */
+    canAttack(character, target) {
+        return !character.grappledBy || character.grappledBy === target;
+    }
+
+    /**
+     * Round start: a grappled character tries to break free (contest against its grappler, minus GRAPPLE.holdBonus)
+     * Returns true if it broke free
+     */
+    tryBreakFree(character) {
+        const grappler = character.grappledBy;
+        if (!grappler) return false;
+
+        const chance = this.calculateContestChance(character, grappler, GRAPPLE.holdBonus);
+        const roll = this.random.d100();
+        const success = roll <= chance;
+        // Display inverted like the to-hit roll ("roll high = good")
+        this.logger.combat(`{{char:${character.name}}}: Break free from {{char:${grappler.name}}} (THC= {{thc}}${100 - chance}%{{/thc}}, Roll= {{roll}}${101 - roll}{{/roll}}, ${success ? '{{hit}}' : '{{miss}}'})`);
+        if (success) this.release(character);
+        return success;
+    }
+
+    /**
+     * End every grapple the character is part of (broke free, defeated, surrendered or pushed apart)
+     */
+    release(character) {
+        if (character.grappledBy) {
+            this.logger.debug(`[GRAPPLE] ${character.name} released by ${character.grappledBy.name}`);
+            character.grappledBy.grappling = null;
+            character.grappledBy = null;
+        }
+        if (character.grappling) {
+            this.logger.debug(`[GRAPPLE] ${character.name} lets go of ${character.grappling.name}`);
+            character.grappling.grappledBy = null;
+            character.grappling = null;
+        }
+    }
+
+    /**
+     * Release all grapples (called on combat exit)
+     */
+    releaseAll(characters) {
+        for (const character of characters) {
+            character.grappledBy = null;
+            character.grappling = null;
+        }
+    }
+}
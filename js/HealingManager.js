@@ -0,0 +1,75 @@
+import { ITEMS, REST, FIRST_AID } from './const.js';
+
+export class HealingManager {
+    constructor(logger, random, inventoryManager) {
+        const params = { logger, random, inventoryManager };
+        for (const [name, param] of Object.entries(params)) {
+            if (!param) throw new Error(`HealingManager: missing required '${name}'`);
+        }
+        this.logger = logger;
+        this.random = random; // Shared RNG - first aid rolls stay replayable
+        this.inventoryManager = inventoryManager;
+    }
+
+    /**
+     * Central heal: every HP gain goes through here (clamped to maxHealth)
+     * Returns the HP actually restored
+     */
+    heal(character, amount, source) {
+        if (character.isDefeated || amount <= 0) return 0;
+
+        const healed = Math.min(amount, character.maxHealth - character.health);
+        if (healed <= 0) return 0;
+
+        character.health += healed;
+        this.logger.info(`${character.name} recovers ${healed} HP from ${source} (${character.health}/${character.maxHealth})`);
+        return healed;
+    }
+
+    /**
+     * HP regained per rest tick (see REST in const.js)
+     */
+    getRestRegen(character) {
+        return Math.max(1, Math.round(character.stats.con * REST.conMultiplier));
+    }
+
+    /**
+     * Chance (%) for a healer's first aid to succeed (see FIRST_AID in const.js)
+     */
+    calculateFirstAidChance(healer) {
+        const chance = FIRST_AID.baseChance + healer.stats.wis * FIRST_AID.wisMultiplier;
+        return Math.max(FIRST_AID.minChance, Math.min(FIRST_AID.maxChance, chance));
+    }
+
+    /**
+     * Wis check to patch a patient up - a failed attempt still uses up the patient's first aid
+     * Returns the HP restored (0 on a failed check)
+     */
+    attemptFirstAid(healer, patient) {
+        const chance = this.calculateFirstAidChance(healer);
+        const roll = this.random.d100();
+        patient.firstAidReceived = true;
+
+        if (roll > chance) {
+            this.logger.info(`${healer.name}'s first aid on ${patient.name} fails (chance ${chance}%, roll ${roll})`);
+            return 0;
+        }
+        this.logger.debug(`[HEAL] ${healer.name} first aid on ${patient.name}: roll=${roll} vs ${chance}`);
+        return this.heal(patient, this.random.int(FIRST_AID.healMin, FIRST_AID.healMax), `${healer.name}'s first aid`);
+    }
+
+    /**
+     * Use one healing item (ITEMS entry with heal) from the supplier's inventory on a character
+     * Returns the HP restored, or 0 if the supplier carries no healing item
+     */
+    useHealingItem(character, supplier) {
+        const stack = supplier.inventory.find(item => item.type === 'item' && ITEMS[item.key]?.heal);
+        if (!stack) {
+            this.logger.info(`No healing items to use on ${character.name}`);
+            return 0;
+        }
+        this.inventoryManager.consumeItem(supplier, stack.key);
+
+        return this.heal(character, ITEMS[stack.key].heal, ITEMS[stack.key].name.toLowerCase());
+    }
+}
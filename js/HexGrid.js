@@ -54,6 +54,22 @@ export class HexGrid {
             Math.abs(hex1.r - hex2.r)) / 2;
     }
 
+    /**
+     * Get hexes on the straight line between two hexes (inclusive of both ends)
+     * Uses cube lerp; endpoints are nudged so lines along hex edges resolve consistently
+     */
+    getLine(hexA, hexB) {
+        const n = this.hexDistance(hexA, hexB);
+        const line = [];
+        for (let i = 0; i <= n; i++) {
+            const t = n === 0 ? 0 : i / n;
+            const q = hexA.q + 1e-6 + (hexB.q - hexA.q) * t;
+            const r = hexA.r + 2e-6 + (hexB.r - hexA.r) * t;
+            line.push(this.roundHex(q, r));
+        }
+        return line;
+    }
+
     getNeighbors(hex) {
         const directions = [
             [1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]
@@ -1,4 +1,4 @@
-import { GAME_CONSTANTS, FACTIONS, hexKey } from "./const.js";
+import { GAME_CONSTANTS, FACTIONS, TERRAIN_TYPES, getAttackRange, hexKey } from "./const.js";
 import { GAME_STATES, COMBAT_ACTIONS } from "./GameStateManager.js";
 
 export class HexGridRenderer {
@@ -13,6 +13,8 @@ export class HexGridRenderer {
         this.inputHandler = null;
         this.pathfinding = null;
         this.engagementManager = null;
+        this.combatSystem = null;
+        this.combatInputHandler = null;
 
         // Pre-computed blocked regions (hexKey -> Set of hexKeys in same region)
         this._blockedRegionByHex = null;
@@ -24,7 +26,7 @@ export class HexGridRenderer {
     }
 
     setDependencies(deps) {
-        const required = ["game", "getCharacterAtHex", "gameStateManager", "inputHandler", "pathfinding", "engagementManager"];
+        const required = ["game", "getCharacterAtHex", "gameStateManager", "inputHandler", "pathfinding", "engagementManager", "combatSystem", "combatInputHandler"];
         for (const dep of required) {
             if (!deps[dep]) throw new Error(`HexGridRenderer: missing required dependency '${dep}'`);
         }
@@ -34,6 +36,8 @@ export class HexGridRenderer {
         this.inputHandler = deps.inputHandler;
         this.pathfinding = deps.pathfinding;
         this.engagementManager = deps.engagementManager;
+        this.combatSystem = deps.combatSystem;
+        this.combatInputHandler = deps.combatInputHandler;
     }
 
     /**
@@ -262,6 +266,12 @@ export class HexGridRenderer {
             hexPoints.push({ x, y });
         }
 
+        // Draw terrain overlay (mud, water, road... from the area's terrain section)
+        const terrainKey = this.pathfinding?.getTerrainAt(q, r);
+        if (terrainKey) {
+            this.drawTerrainHex(ctx, hexPoints, terrainKey);
+        }
+
         // Draw dark overlay for blocked hexes (only during combat when hovering blocked terrain)
         const isBlocked = this.pathfinding?.blockedHexes?.has(hexKey(q, r));
         const inCombat =
@@ -302,7 +312,7 @@ export class HexGridRenderer {
                 this.gameStateManager.isExecutingCharacter(characterHere)
             ) {
                 const action = this.gameStateManager.characterActions.get(characterHere);
-                const isAtMoveDestination = action?.action === COMBAT_ACTIONS.MOVE &&
+                const isAtMoveDestination = (action?.action === COMBAT_ACTIONS.MOVE || action?.action === COMBAT_ACTIONS.FLEE) &&
                     action.target.q === q && action.target.r === r;
 
                 if (!isAtMoveDestination) {
@@ -337,6 +347,11 @@ export class HexGridRenderer {
             }
         }
 
+        // Draw valid distant targets while the player is aiming a ranged or reach weapon
+        if (characterHere && this.isRangedTargetForPlayer(q, r)) {
+            this.drawRangedTargetHex(ctx, hexPoints);
+        }
+
         // Draw player selected move target (but not if character already there)
         if (
             this.gameStateManager.playerSelectedHex &&
@@ -430,6 +445,29 @@ export class HexGridRenderer {
         });
     }
 
+    /**
+     * Check if a hex holds a target the player can shoot this round
+     * (combat input, attack mode active, ranged or reach main hand, in range with ammo and line of sight)
+     */
+    isRangedTargetForPlayer(q, r) {
+        if (this.gameStateManager.currentState !== GAME_STATES.COMBAT_INPUT) return false;
+        if (this.gameStateManager.characterActions.has(this.game.pc)) return false;
+        if (this.combatInputHandler.activeMode !== 'attack') return false;
+        if (getAttackRange(this.game.pc.equipment.mainHand).maxRange <= 1) return false;
+
+        const target = this.getCharacterAtHex(q, r);
+        if (!target || target.isDefeated) return false;
+        return this.combatSystem.isValidAttackTarget(q, r, this.game.pc);
+    }
+
+    drawRangedTargetHex(ctx, hexPoints) {
+        this._drawHexPath(ctx, hexPoints, "rgba(244, 67, 54, 0.2)", "rgba(244, 67, 54, 0.8)", 2);
+    }
+
+    drawTerrainHex(ctx, hexPoints, terrainKey) {
+        this._drawHexPath(ctx, hexPoints, TERRAIN_TYPES[terrainKey].overlay);
+    }
+
     drawHoverHex(ctx, hexPoints) {
         this._drawHexPath(ctx, hexPoints, "rgba(33, 150, 243, 0.25)", "rgba(33, 150, 243, 0.7)", 2);
     }
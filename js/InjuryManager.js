@@ -0,0 +1,74 @@
+import { INJURIES, INJURY_RULES, ITEMS, applyInjuryEffects, removeInjuryEffects } from './const.js';
+
+export class InjuryManager {
+    constructor(logger, random, inventoryManager) {
+        const params = { logger, random, inventoryManager };
+        for (const [name, param] of Object.entries(params)) {
+            if (!param) throw new Error(`InjuryManager: missing required '${name}'`);
+        }
+        this.logger = logger;
+        this.random = random; // Shared combat RNG - injury rolls stay replayable
+        this.inventoryManager = inventoryManager;
+    }
+
+    /**
+     * Severe hit: a crit, or one that leaves the defender below INJURY_RULES.healthThreshold of max HP
+     */
+    isSevereHit(defender, crit) {
+        return crit || defender.health < defender.maxHealth * INJURY_RULES.healthThreshold;
+    }
+
+    /**
+     * Roll for a lasting injury after a damaging hit the defender survived
+     * The injury matches the hit location; a character never carries the same injury twice
+     * Returns the injury instance, or null
+     */
+    rollInjury(defender, locationKey, crit) {
+        if (!this.isSevereHit(defender, crit)) return null;
+
+        const roll = this.random.d100();
+        const injuryKey = Object.keys(INJURIES).find(key => INJURIES[key].location === locationKey);
+        this.logger.debug(`[INJURY] ${defender.name} severe hit (${crit ? 'crit' : 'low health'}) at ${locationKey}: roll=${roll} vs ${INJURY_RULES.chance} → ${injuryKey}`);
+        if (roll > INJURY_RULES.chance || !injuryKey) return null;
+
+        const instance = applyInjuryEffects(defender, injuryKey);
+        if (instance) {
+            this.logger.combat(`    → {{char:${defender.name}}} suffers a ${INJURIES[injuryKey].name} {{injured}}`);
+        }
+        return instance;
+    }
+
+    /**
+     * Let injuries heal on their own (exploration only) - returns the keys of injuries that healed
+     */
+    healOverTime(character, seconds) {
+        const healed = [];
+        for (const instance of [...character.injuries]) {
+            instance.remaining -= seconds;
+            if (instance.remaining <= 0) {
+                removeInjuryEffects(character, instance.key);
+                this.logger.info(`${character.name}'s ${INJURIES[instance.key].name} has healed`);
+                healed.push(instance.key);
+            }
+        }
+        return healed;
+    }
+
+    /**
+     * Treat a character's worst injury (longest left to heal) with one INJURY_RULES.treatItem
+     * taken from the supplier's inventory. Returns true if an injury was treated
+     */
+    treatInjury(character, supplier) {
+        if (character.injuries.length === 0) return false;
+
+        if (!this.inventoryManager.consumeItem(supplier, INJURY_RULES.treatItem)) {
+            this.logger.info(`No ${ITEMS[INJURY_RULES.treatItem].name.toLowerCase()} to treat ${character.name}`);
+            return false;
+        }
+
+        const worst = character.injuries.reduce((a, b) => (b.remaining > a.remaining ? b : a));
+        removeInjuryEffects(character, worst.key);
+        this.logger.info(`${supplier.name} treated ${character.name}'s ${INJURIES[worst.key].name}`);
+        return true;
+    }
+}
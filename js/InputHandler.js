@@ -35,6 +35,8 @@ export class InputHandler {
         this.onAnimationChange = null;
         this.onMouseMove = null;
         this.onMarkedHexesChange = null;
+        this.onLootRequest = null;
+        this.onInventoryToggle = null;
 
         // Bind methods
         this.handleMouseMove = this.handleMouseMove.bind(this);
@@ -134,9 +136,13 @@ export class InputHandler {
             return;
         }
 
-        // Check if target hex is occupied
+        // Check if target hex is occupied (clicking an adjacent body opens its loot)
         const characterAtTarget = this.getCharacterAtHex(targetHex.q, targetHex.r);
         if (characterAtTarget) {
+            const pcHex = { q: this.game.pc.hexQ, r: this.game.pc.hexR };
+            if (characterAtTarget.isDefeated && this.hexGrid.hexDistance(pcHex, targetHex) === 1) {
+                this.onLootRequest?.(characterAtTarget);
+            }
             return;
         }
 
@@ -197,6 +203,42 @@ export class InputHandler {
             case '8':
                 this.debugCharacterPositions();
                 break;
+
+            case 'r':
+            case 'R':
+                // Repair party armor (GSM refuses with hostiles nearby or outside exploration)
+                this.gameStateManager.repairPartyArmor();
+                break;
+
+            case 't':
+            case 'T':
+                // Treat party injuries with bandages (GSM rejects this outside exploration)
+                this.gameStateManager.treatPartyInjuries();
+                break;
+
+            case 'i':
+            case 'I':
+                // Inventory panel (open in any state - items can be used from it in combat)
+                this.onInventoryToggle?.();
+                break;
+
+            case 'z':
+            case 'Z':
+                // Rest to regain HP (GSM refuses with hostiles nearby or outside exploration)
+                this.gameStateManager.startRest();
+                break;
+
+            case 'f':
+            case 'F':
+                // First aid on the most wounded party member
+                this.gameStateManager.giveFirstAid();
+                break;
+
+            case 'h':
+            case 'H':
+                // Use a healing item on the most wounded party member
+                this.gameStateManager.usePartyHealingItem();
+                break;
         }
     }
 
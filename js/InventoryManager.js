@@ -0,0 +1,58 @@
+import { ITEMS, isConsumable, getItemWeight } from './const.js';
+
+export class InventoryManager {
+    constructor(logger) {
+        const params = { logger };
+        for (const [name, param] of Object.entries(params)) {
+            if (!param) throw new Error(`InventoryManager: missing required '${name}'`);
+        }
+        this.logger = logger;
+    }
+
+    /**
+     * Find the inventory stack of an item, or null
+     */
+    findItem(character, itemKey) {
+        return character.inventory.find(item => item.type === 'item' && item.key === itemKey) || null;
+    }
+
+    hasItem(character, itemKey) {
+        return this.findItem(character, itemKey) !== null;
+    }
+
+    /**
+     * Carried consumable stacks (items usable with the USE action)
+     */
+    getConsumables(character) {
+        return character.inventory.filter(item => item.type === 'item' && isConsumable(item.key));
+    }
+
+    /**
+     * Use up one item from a stack (the stack is dropped when empty)
+     * Returns true if the character had the item
+     */
+    consumeItem(character, itemKey) {
+        const stack = this.findItem(character, itemKey);
+        if (!stack) return false;
+
+        stack.count--;
+        if (stack.count <= 0) character.inventory.splice(character.inventory.indexOf(stack), 1);
+        this.logger.debug(`[INVENTORY] ${character.name} used ${ITEMS[itemKey].name} (${stack.count} left)`);
+        return true;
+    }
+
+    /**
+     * Total carried weight: equipped weapons and armor plus every inventory entry (see getItemWeight)
+     */
+    getCarriedWeight(character) {
+        const { mainHand, offHand, armor } = character.equipment;
+        const equipped = [
+            { type: 'weapon', key: mainHand },
+            { type: 'weapon', key: offHand },
+            { type: 'armor', key: armor }
+        ].filter(entry => entry.key);
+
+        const total = [...equipped, ...character.inventory].reduce((sum, entry) => sum + getItemWeight(entry), 0);
+        return Math.round(total * 10) / 10;
+    }
+}
@@ -0,0 +1,92 @@
+import { ITEMS, getItemName } from './const.js';
+
+export class LootManager {
+    constructor(logger, random) {
+        const params = { logger, random };
+        for (const [name, param] of Object.entries(params)) {
+            if (!param) throw new Error(`LootManager: missing required '${name}'`);
+        }
+        this.logger = logger;
+        this.random = random;
+    }
+
+    /**
+     * Turn a defeated character into a loot container
+     * Holds equipped weapon, off-hand and armor (with its worn durability) plus rolled lootTable extras
+     * Rolls use the combat RNG so a seeded fight drops the same loot
+     */
+    createLootContainer(character) {
+        const loot = [];
+        const { mainHand, offHand, armor } = character.equipment;
+
+        if (mainHand && mainHand !== 'unarmed') loot.push({ type: 'weapon', key: mainHand, count: 1 });
+        if (offHand) loot.push({ type: 'weapon', key: offHand, count: 1 });
+        if (armor && armor !== 'none') {
+            const durability = character.armorInstance?.key === armor ? character.armorInstance.durability : null;
+            loot.push({ type: 'armor', key: armor, count: 1, durability });
+        }
+
+        loot.push(...this.rollLootTable(character.lootTable || []));
+
+        character.loot = loot;
+        this.logger.debug(`[LOOT] ${character.name} dropped: ${loot.map(getItemName).join(', ') || 'nothing'}`);
+        return loot;
+    }
+
+    /**
+     * Roll a template loot table: each row drops with chance% and a count in [min, max]
+     */
+    rollLootTable(lootTable) {
+        const drops = [];
+        for (const row of lootTable) {
+            if (!ITEMS[row.item]) {
+                this.logger.warn(`[LOOT] Unknown loot item '${row.item}' - skipped`);
+                continue;
+            }
+            if (this.random.d100() > row.chance) continue;
+            drops.push({ type: 'item', key: row.item, count: this.random.int(row.min, row.max) });
+        }
+        return drops;
+    }
+
+    isLootable(character) {
+        return character.isDefeated && character.loot?.length > 0;
+    }
+
+    /**
+     * Move one loot entry from a container into the taker's inventory
+     * Returns the taken entry, or null if the index is invalid
+     */
+    takeItem(container, index, taker) {
+        const entry = container.loot?.[index];
+        if (!entry) return null;
+
+        container.loot.splice(index, 1);
+        this.addToInventory(taker, entry);
+        this.logger.info(`${taker.name} takes ${getItemName(entry)} from ${container.name}`);
+        return entry;
+    }
+
+    /**
+     * Take everything from a container
+     */
+    takeAll(container, taker) {
+        while (container.loot?.length > 0) {
+            this.takeItem(container, 0, taker);
+        }
+    }
+
+    /**
+     * Add an entry to a character's inventory (stackable items merge into one stack)
+     */
+    addToInventory(character, entry) {
+        if (entry.type === 'item' && ITEMS[entry.key]?.stackable) {
+            const stack = character.inventory.find(item => item.type === 'item' && item.key === entry.key);
+            if (stack) {
+                stack.count += entry.count;
+                return;
+            }
+        }
+        character.inventory.push({ ...entry });
+    }
+}
@@ -0,0 +1,103 @@
+import { MORALE, getConditionModifier } from './const.js';
+
+export class MoraleManager {
+    constructor(logger) {
+        const params = { logger };
+        for (const [name, param] of Object.entries(params)) {
+            if (!param) throw new Error(`MoraleManager: missing required '${name}'`);
+        }
+        this.logger = logger;
+        this.participants = []; // Everyone present at combat start (fallen allies still count against morale)
+    }
+
+    /**
+     * Remember who took part in the fight - called by GameStateManager at combat start
+     */
+    beginCombat(participants) {
+        this.participants = [...participants];
+    }
+
+    /**
+     * Calculate a character's current morale (see MORALE in const.js)
+     * Returns { morale, breakdown } - breakdown is a debug string of the contributing terms
+     */
+    calculateMorale(character) {
+        const base = character.stats.will * MORALE.willMultiplier + character.stats.cha * MORALE.chaMultiplier;
+        const terms = [`base ${base}`];
+        let morale = base;
+
+        const allies = this.participants.filter(other => other !== character && other.faction === character.faction);
+        const leaders = allies.filter(ally => ally.leader);
+        if (leaders.some(leader => this.isStillFighting(leader))) {
+            morale += MORALE.leaderBonus;
+            terms.push(`leader +${MORALE.leaderBonus}`);
+        }
+
+        const fallen = allies.filter(ally => ally.isDefeated).length;
+        if (fallen > 0) {
+            morale -= fallen * MORALE.allyFallenPenalty;
+            terms.push(`fallen allies -${fallen * MORALE.allyFallenPenalty}`);
+        }
+        if (leaders.some(leader => leader.isDefeated)) {
+            morale -= MORALE.leaderFallenPenalty;
+            terms.push(`leader fallen -${MORALE.leaderFallenPenalty}`);
+        }
+
+        const standing = this.participants.filter(other => this.isStillFighting(other));
+        const alliedCount = standing.filter(other => other.faction === character.faction).length;
+        // Only hostiles actually out for this character count (one-way grudges against bystanders don't)
+        const hostileCount = standing.filter(other => other.enemies?.has(character)).length;
+        const outnumberedBy = hostileCount - alliedCount;
+        if (outnumberedBy > 0) {
+            morale -= outnumberedBy * MORALE.outnumberedPenalty;
+            terms.push(`outnumbered -${outnumberedBy * MORALE.outnumberedPenalty}`);
+        }
+
+        const hpLoss = Math.floor((1 - character.health / character.maxHealth) * MORALE.hpLossPenalty);
+        if (hpLoss > 0) {
+            morale -= hpLoss;
+            terms.push(`wounds -${hpLoss}`);
+        }
+
+        // Conditions (e.g., shaken from an INTIMIDATE)
+        const conditionMod = getConditionModifier(character, 'morale');
+        if (conditionMod) {
+            morale += conditionMod;
+            terms.push(`conditions ${conditionMod}`);
+        }
+
+        return { morale, breakdown: terms.join(', ') };
+    }
+
+    /**
+     * Morale state driving the AI: 'steady' (fight on), 'shaken' (flee) or 'broken' (surrender)
+     */
+    getMoraleState(character) {
+        const { morale, breakdown } = this.calculateMorale(character);
+        const state = morale < MORALE.surrenderThreshold ? 'broken'
+            : morale < MORALE.fleeThreshold ? 'shaken'
+            : 'steady';
+        this.logger.debug(`[MORALE] ${character.name} morale=${morale} (${breakdown}) → ${state}`);
+        return state;
+    }
+
+    /**
+     * Surrender: the character stops fighting and every hostility involving it is dropped
+     * It stays on the map as a non-hostile (attacks on it are held back)
+     */
+    surrender(character, characters) {
+        character.hasSurrendered = true;
+        character.mode = 'neutral';
+        character.isDefending = false;
+        character.enemies.clear();
+        for (const other of characters) {
+            other.enemies?.delete(character);
+            if (other.lastAttackedBy === character) other.lastAttackedBy = null;
+        }
+        character.lastAttackedBy = null;
+    }
+
+    isStillFighting(character) {
+        return !character.isDefeated && !character.hasFled && !character.hasSurrendered;
+    }
+}
@@ -1,4 +1,4 @@
-import { GAME_CONSTANTS, hexKey } from './const.js';
+import { GAME_CONSTANTS, TERRAIN_TYPES, hexKey } from './const.js';
 
 
 export class Pathfinding {
@@ -8,6 +8,7 @@ export class Pathfinding {
         this.maxIterations = GAME_CONSTANTS.PATHFINDING_MAX_ITERATIONS;
         this.maxOpenSetSize = GAME_CONSTANTS.PATHFINDING_MAX_OPEN_SET;
         this.blockedHexes = new Set(); // Persistent blocked hexes from area definition
+        this.terrain = new Map(); // hexKey -> TERRAIN_TYPES key, from area definition
 
         // Path result cache with version-based invalidation
         this._pathCache = new Map();
@@ -117,7 +118,7 @@ export class Pathfinding {
                 continue;
             }
 
-            const tentativeGScore = currentGScore + 1;
+            const tentativeGScore = currentGScore + this.getMoveCost(neighbor);
             const existingGScore = gScore.get(neighborKey) || Infinity;
 
             if (tentativeGScore < existingGScore) {
@@ -164,4 +165,31 @@ export class Pathfinding {
         this.blockedHexes = new Set(hexes.map(h => hexKey(h.q, h.r)));
         this.invalidateCache();
     }
+
+    /**
+     * Set terrain from an area definition's 'terrain' section: { terrainKey: [{q, r}, ...] }
+     * Unknown terrain keys are skipped (AreaManager warns about them on load)
+     */
+    setTerrain(terrain) {
+        this.terrain = new Map();
+        for (const [terrainKey, hexes] of Object.entries(terrain)) {
+            if (!TERRAIN_TYPES[terrainKey] || !Array.isArray(hexes)) continue;
+            hexes.forEach(h => this.terrain.set(hexKey(h.q, h.r), terrainKey));
+        }
+        this.invalidateCache();
+    }
+
+    /**
+     * TERRAIN_TYPES key of a hex, or null for plain ground
+     */
+    getTerrainAt(q, r) {
+        return this.terrain.get(hexKey(q, r)) || null;
+    }
+
+    /**
+     * A* cost of stepping onto a hex - plain ground costs 1
+     */
+    getMoveCost(hex) {
+        return TERRAIN_TYPES[this.getTerrainAt(hex.q, hex.r)]?.moveCost ?? 1;
+    }
 }
\ No newline at end of file
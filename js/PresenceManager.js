@@ -0,0 +1,41 @@
+import { PRESENCE, calculateCerebralPresence } from './const.js';
+
+export class PresenceManager {
+    constructor(logger) {
+        const params = { logger };
+        for (const [name, param] of Object.entries(params)) {
+            if (!param) throw new Error(`PresenceManager: missing required '${name}'`);
+        }
+        this.logger = logger;
+    }
+
+    /**
+     * Chance (%) for an INTIMIDATE or TAUNT to get through: the user's Cerebral Presence
+     * against the target's will (see PRESENCE in const.js)
+     */
+    calculateContestChance(user, target) {
+        const presence = calculateCerebralPresence(user.stats);
+        const edge = presence - target.stats.will * PRESENCE.willMultiplier;
+        const chance = PRESENCE.baseChance + edge * PRESENCE.scoreMultiplier;
+        return Math.max(PRESENCE.minChance, Math.min(PRESENCE.maxChance, chance));
+    }
+
+    /**
+     * Mark who taunted the target - the taunted condition decides how long it holds
+     */
+    startTaunt(taunter, target) {
+        target.tauntedBy = taunter;
+        this.logger.debug(`[PRESENCE] ${target.name} taunted by ${taunter.name}`);
+    }
+
+    /**
+     * The character the AI is forced to target, or null
+     * (condition worn off, or the taunter is no longer fighting)
+     */
+    getTaunter(character) {
+        const taunter = character.tauntedBy;
+        if (!taunter || !character.conditions?.has('taunted')) return null;
+        if (taunter.isDefeated || taunter.hasFled || taunter.hasSurrendered) return null;
+        return taunter;
+    }
+}
@@ -0,0 +1,67 @@
+import { SKILL_PROGRESSION, getSynergyPartners, getSkillName, hasShieldEquipped } from './const.js';
+
+export class ProgressionManager {
+    constructor(logger) {
+        const params = { logger };
+        for (const [name, param] of Object.entries(params)) {
+            if (!param) throw new Error(`ProgressionManager: missing required '${name}'`);
+        }
+        this.logger = logger;
+    }
+
+    /**
+     * XP needed to raise a skill from its current level to the next
+     */
+    getXPToNextLevel(level) {
+        return level * SKILL_PROGRESSION.xpPerLevel;
+    }
+
+    /**
+     * Add use XP to a skill, raising it (possibly several levels) when the threshold is reached
+     * Progress lives in character.skillProgress[skillKey] as XP toward the next level
+     * Capped skills stop accumulating XP
+     */
+    trainSkill(character, skillKey, xp) {
+        const level = character.skills[skillKey] || 1;
+        if (level >= SKILL_PROGRESSION.maxLevel || xp <= 0) return;
+
+        let progress = (character.skillProgress[skillKey] || 0) + xp;
+        let newLevel = level;
+        while (newLevel < SKILL_PROGRESSION.maxLevel && progress >= this.getXPToNextLevel(newLevel)) {
+            progress -= this.getXPToNextLevel(newLevel);
+            newLevel++;
+        }
+
+        character.skillProgress[skillKey] = newLevel >= SKILL_PROGRESSION.maxLevel ? 0 : progress;
+        this.logger.debug(`[PROGRESS] ${character.name} ${skillKey} +${xp} XP (${progress}/${this.getXPToNextLevel(newLevel)} at level ${newLevel})`);
+
+        if (newLevel > level) {
+            character.skills[skillKey] = newLevel;
+            this.logger.combat(`    → {{char:${character.name}}} improves ${getSkillName(skillKey)} to ${newLevel}`);
+        }
+    }
+
+    /**
+     * Train skills from a landed hit
+     * Attacker trains the weapon used (synergy partners at a reduced share) and criticalStrike on a crit
+     * Defender trains block when their shield caught part of the hit
+     */
+    recordHit(attacker, defender, weaponKey, { crit = false, blocked = false } = {}) {
+        const { xp, synergyShare } = SKILL_PROGRESSION;
+        this.trainSkill(attacker, weaponKey, xp.weaponHit);
+        for (const partnerKey of getSynergyPartners(weaponKey)) {
+            this.trainSkill(attacker, partnerKey, xp.weaponHit * synergyShare);
+        }
+        if (crit) this.trainSkill(attacker, 'criticalStrike', xp.crit);
+        if (blocked) this.trainSkill(defender, 'block', xp.defense);
+    }
+
+    /**
+     * Train the defender's evasion after an attack missed them
+     * Shield bearers train block, everyone else trains dodge
+     */
+    recordEvade(defender) {
+        const skillKey = hasShieldEquipped(defender) ? 'block' : 'dodge';
+        this.trainSkill(defender, skillKey, SKILL_PROGRESSION.xp.defense);
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Random - Seedable random source for all combat rolls
+ * mulberry32 PRNG: same seed → same sequence, so fights can be replayed exactly
+ */
+export class Random {
+    constructor(seed = Random.generateSeed()) {
+        this.pinnedSeed = null; // Seed forced by URL/debug panel (null = fresh seed each combat)
+        this.setSeed(seed);
+    }
+
+    /**
+     * Pick a fresh 32-bit seed (the only place Math.random is allowed)
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Parse a seed from user input (URL param, debug panel)
+     * Returns an unsigned 32-bit integer, or null if the input is empty/invalid
+     */
+    static parseSeed(value) {
+        if (value === null || value === undefined || String(value).trim() === '') return null;
+        const seed = Number(value);
+        if (!Number.isInteger(seed) || seed < 0) return null;
+        return seed >>> 0;
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Pin a seed used for every following combat (null unpins)
+     */
+    pinSeed(seed) {
+        this.pinnedSeed = seed === null ? null : seed >>> 0;
+    }
+
+    /**
+     * Reseed at combat start: pinned seed if set, otherwise a fresh one
+     * Returns the seed in use so it can be logged
+     */
+    reseedForCombat() {
+        this.setSeed(this.pinnedSeed ?? Random.generateSeed());
+        return this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Integer in [min, max] inclusive
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Roll d100 (1-100)
+     */
+    d100() {
+        return this.int(1, 100);
+    }
+}
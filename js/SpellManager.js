@@ -0,0 +1,123 @@
+import { SPELLS, SPELL_SCHOOLS, SPELLCASTING, getKnownSpells, getConditionModifier } from './const.js';
+
+export class SpellManager {
+    constructor(logger, hexGrid) {
+        const params = { logger, hexGrid };
+        for (const [name, param] of Object.entries(params)) {
+            if (!param) throw new Error(`SpellManager: missing required '${name}'`);
+        }
+        this.logger = logger;
+        this.hexGrid = hexGrid;
+    }
+
+    /**
+     * Spells a character can cast (see getKnownSpells) - none without a mana pool
+     */
+    getKnownSpells(character) {
+        if (!(character.maxMana > 0)) return [];
+        return getKnownSpells(character.stats);
+    }
+
+    knowsSpell(character, spellKey) {
+        return this.getKnownSpells(character).includes(spellKey);
+    }
+
+    canAfford(character, spellKey) {
+        return character.mana >= SPELLS[spellKey].mana;
+    }
+
+    /**
+     * Pay the spell's mana (never below 0), returns the mana spent
+     */
+    spendMana(character, spellKey) {
+        const spent = Math.min(character.mana, SPELLS[spellKey].mana);
+        character.mana -= spent;
+        return spent;
+    }
+
+    /**
+     * The caster's stat for the spell's school
+     */
+    getSchoolStat(caster, spellKey) {
+        return caster.stats[SPELL_SCHOOLS[SPELLS[spellKey].school].stat];
+    }
+
+    /**
+     * Amount of a damage or heal effect: its base plus the school stat bonus
+     */
+    calculatePotency(caster, spellKey, effect) {
+        return effect.amount + Math.floor(this.getSchoolStat(caster, spellKey) / SPELLCASTING.potencyDivisor);
+    }
+
+    /**
+     * Check a target hex against the spell's range and target type (line of sight is checked by the caller)
+     * The character standing there (if any) must match: a faction ally (or self), or a living non-ally
+     */
+    isValidTarget(caster, spellKey, targetHex, targetChar) {
+        const spell = SPELLS[spellKey];
+        const distance = this.hexGrid.hexDistance({ q: caster.hexQ, r: caster.hexR }, targetHex);
+        if (distance > spell.range) return false;
+
+        if (spell.target === 'hex') return spell.area.type !== 'line' || distance > 0;
+        if (!targetChar || targetChar.isDefeated) return false;
+        if (spell.target === 'ally') return targetChar.faction === caster.faction;
+        return targetChar !== caster && targetChar.faction !== caster.faction;
+    }
+
+    /**
+     * Everyone the spell's area template covers from a target hex (see SPELLS area)
+     * Area spells never catch the caster, but spare no one else
+     */
+    getAffectedCharacters(caster, spellKey, targetHex, characters) {
+        const area = SPELLS[spellKey].area;
+        const living = characters.filter(other => !other.isDefeated && !other.hasSurrendered);
+
+        if (area.type === 'burst') {
+            return living.filter(other => other !== caster &&
+                this.hexGrid.hexDistance(targetHex, { q: other.hexQ, r: other.hexR }) <= area.radius);
+        }
+        if (area.type === 'line') {
+            const hexes = this.hexGrid.getLine({ q: caster.hexQ, r: caster.hexR }, targetHex).slice(1);
+            return living.filter(other => other !== caster &&
+                hexes.some(hex => hex.q === other.hexQ && hex.r === other.hexR));
+        }
+
+        const single = living.find(other => other.hexQ === targetHex.q && other.hexR === targetHex.r);
+        return single ? [single] : [];
+    }
+
+    /**
+     * A grappled caster can only turn a spell against its grappler: the first non-ally the spell
+     * would catch who isn't the grappler, or null when the cast is allowed
+     */
+    getHeldTarget(caster, spellKey, targetHex, characters) {
+        if (!caster.grappledBy || SPELLS[spellKey].target === 'ally') return null;
+        return this.getAffectedCharacters(caster, spellKey, targetHex, characters)
+            .find(other => other.faction !== caster.faction && other !== caster.grappledBy) || null;
+    }
+
+    /**
+     * Living characters engaged with the caster (either side of the engagement)
+     */
+    getEngagers(caster, characters) {
+        return characters.filter(other => other !== caster && !other.isDefeated &&
+            (caster.engagedBy?.has(other) || other.engagedBy?.has(caster)));
+    }
+
+    /**
+     * Chance (%) for a cast to fizzle: SPELLCASTING.failurePerEngager per engaged enemy, capped
+     */
+    calculateFailureChance(caster, characters) {
+        const engagers = this.getEngagers(caster, characters).length;
+        return Math.min(SPELLCASTING.maxFailure, engagers * SPELLCASTING.failurePerEngager);
+    }
+
+    /**
+     * Chance (%) for a target to resist a spell: its will against the caster's school stat (see SPELLCASTING)
+     */
+    calculateResistChance(caster, target, spellKey) {
+        const edge = target.stats.will - this.getSchoolStat(caster, spellKey);
+        const chance = SPELLCASTING.baseResist + edge * SPELLCASTING.willMultiplier + getConditionModifier(target, 'spellResist');
+        return Math.max(SPELLCASTING.minResist, Math.min(SPELLCASTING.maxResist, chance));
+    }
+}
@@ -1,4 +1,5 @@
 import { GAME_STATES } from './GameStateManager.js';
+import { getItemName, getItemWeight, isConsumable } from './const.js';
 
 /**
  * UIManager - Handles all DOM manipulation and UI updates
@@ -39,7 +40,30 @@ export class UIManager {
 			hexMarkerControls: document.getElementById('hexMarkerControls'),
 			exportHexes: document.getElementById('exportHexes'),
 			clearHexes: document.getElementById('clearHexes'),
-			markedCount: document.getElementById('markedCount')
+			markedCount: document.getElementById('markedCount'),
+
+			// Combat RNG seed
+			combatSeed: document.getElementById('combatSeed'),
+
+			// Combat result overlay
+			combatResultOverlay: document.getElementById('combatResultOverlay'),
+			combatResultTitle: document.getElementById('combatResultTitle'),
+			combatResultSummary: document.getElementById('combatResultSummary'),
+			combatResultContinue: document.getElementById('combatResultContinue'),
+			combatResultReload: document.getElementById('combatResultReload'),
+
+			// Loot window
+			lootWindow: document.getElementById('lootWindow'),
+			lootTitle: document.getElementById('lootTitle'),
+			lootList: document.getElementById('lootList'),
+			lootTakeAll: document.getElementById('lootTakeAll'),
+			lootClose: document.getElementById('lootClose'),
+
+			// Inventory panel
+			inventoryPanel: document.getElementById('inventoryPanel'),
+			inventoryList: document.getElementById('inventoryList'),
+			inventoryWeight: document.getElementById('inventoryWeight'),
+			inventoryClose: document.getElementById('inventoryClose')
 		};
 	}
 
@@ -143,6 +167,128 @@ export class UIManager {
 		this.elements.direction.textContent = direction;
 	}
 
+	/**
+	 * Show the victory/defeat overlay for a resolved combat
+	 * Victory offers Continue; defeat only offers Reload (game over)
+	 * @param {Object} result - { outcome, rounds, survivors, casualties, fled, surrendered } from GameStateManager
+	 */
+	showCombatResult(result) {
+		const elements = this.elements;
+		const isVictory = result.outcome === 'victory';
+		const names = (chars) => chars.map(char => char.name).join(', ') || 'none';
+
+		elements.combatResultTitle.textContent = isVictory ? 'Victory' : 'Defeat';
+		elements.combatResultTitle.className = `combat-result-title ${isVictory ? 'combat-result-victory' : 'combat-result-defeat'}`;
+
+		let summary = `Rounds: ${result.rounds}<br>Survivors: ${names(result.survivors)}<br>Casualties: ${names(result.casualties)}`;
+		if (result.fled.length > 0) summary += `<br>Fled: ${names(result.fled)}`;
+		if (result.surrendered.length > 0) summary += `<br>Surrendered: ${names(result.surrendered)}`;
+		if (!isVictory) summary += '<br><br>You have fallen.';
+		elements.combatResultSummary.innerHTML = summary;
+
+		elements.combatResultContinue.style.display = isVictory ? 'inline-block' : 'none';
+		elements.combatResultReload.style.display = isVictory ? 'none' : 'inline-block';
+		elements.combatResultOverlay.style.display = 'flex';
+	}
+
+	/**
+	 * Hide the combat result overlay
+	 */
+	hideCombatResult() {
+		this.elements.combatResultOverlay.style.display = 'none';
+	}
+
+	/**
+	 * Show the loot window for a container (defeated character with a loot list)
+	 * Buttons are rebuilt on every call so handlers always target the current list
+	 * @param {Object} container - Character with loot: [{ type, key, count }]
+	 * @param {Object} callbacks - { onTake(index), onTakeAll(), onClose() }
+	 */
+	showLootWindow(container, callbacks) {
+		const elements = this.elements;
+		elements.lootTitle.textContent = `${container.name}'s belongings`;
+
+		elements.lootList.innerHTML = '';
+		container.loot.forEach((entry, index) => {
+			const row = document.createElement('div');
+			row.className = 'loot-row';
+
+			const label = document.createElement('span');
+			label.textContent = getItemName(entry);
+			if (entry.type === 'armor' && entry.durability !== null && entry.durability !== undefined) {
+				label.textContent += ` (durability ${entry.durability})`;
+			}
+
+			const takeButton = document.createElement('button');
+			takeButton.className = 'combat-result-btn';
+			takeButton.textContent = 'Take';
+			takeButton.addEventListener('click', () => callbacks.onTake(index));
+
+			row.appendChild(label);
+			row.appendChild(takeButton);
+			elements.lootList.appendChild(row);
+		});
+
+		elements.lootTakeAll.onclick = callbacks.onTakeAll;
+		elements.lootClose.onclick = callbacks.onClose;
+		elements.lootWindow.style.display = 'block';
+	}
+
+	/**
+	 * Hide the loot window
+	 */
+	hideLootWindow() {
+		this.elements.lootWindow.style.display = 'none';
+	}
+
+	/**
+	 * Show the inventory panel for a character (rebuilt on every call, like the loot window)
+	 * Consumables get a Use button while callbacks.onUse is set (combat input phase only)
+	 * @param {Object} character - Character with inventory: [{ type, key, count }]
+	 * @param {number} carriedWeight - Total carried weight (InventoryManager.getCarriedWeight)
+	 * @param {Object} callbacks - { onUse(itemKey) | null, onClose() }
+	 */
+	showInventoryPanel(character, carriedWeight, callbacks) {
+		const elements = this.elements;
+
+		elements.inventoryList.innerHTML = '';
+		if (character.inventory.length === 0) {
+			elements.inventoryList.textContent = 'Nothing carried';
+		}
+		character.inventory.forEach((entry) => {
+			const row = document.createElement('div');
+			row.className = 'loot-row';
+
+			const label = document.createElement('span');
+			label.textContent = `${getItemName(entry)} (${Math.round(getItemWeight(entry) * 10) / 10} kg)`;
+			row.appendChild(label);
+
+			if (callbacks.onUse && entry.type === 'item' && isConsumable(entry.key)) {
+				const useButton = document.createElement('button');
+				useButton.className = 'combat-result-btn';
+				useButton.textContent = 'Use';
+				useButton.addEventListener('click', () => callbacks.onUse(entry.key));
+				row.appendChild(useButton);
+			}
+			elements.inventoryList.appendChild(row);
+		});
+
+		elements.inventoryWeight.textContent = `Carried weight: ${carriedWeight} kg (equipment included)`;
+		elements.inventoryClose.onclick = callbacks.onClose;
+		elements.inventoryPanel.style.display = 'block';
+	}
+
+	/**
+	 * Hide the inventory panel
+	 */
+	hideInventoryPanel() {
+		this.elements.inventoryPanel.style.display = 'none';
+	}
+
+	isInventoryPanelOpen() {
+		return this.elements.inventoryPanel.style.display === 'block';
+	}
+
 	/**
 	 * Setup event listeners for UI controls
 	 * Extracts event handler setup from Game.setupCallbacks()
@@ -156,5 +302,12 @@ export class UIManager {
 		this.elements.hexMarkerMode.addEventListener('change', callbacks.onHexMarkerModeChange);
 		this.elements.exportHexes.addEventListener('click', callbacks.onExportHexes);
 		this.elements.clearHexes.addEventListener('click', callbacks.onClearHexes);
+
+		// Combat seed input (applies on change/Enter)
+		this.elements.combatSeed.addEventListener('change', callbacks.onCombatSeedChange);
+
+		// Combat result overlay buttons
+		this.elements.combatResultContinue.addEventListener('click', callbacks.onCombatResultContinue);
+		this.elements.combatResultReload.addEventListener('click', callbacks.onCombatResultReload);
 	}
 }
@@ -36,6 +36,8 @@ export const GAME_CONSTANTS = {
 	NAMEPLATE_HEIGHT: 65,
 	HEALTH_BAR_HEIGHT: 22,
 	BUFFER_BAR_HEIGHT: 8,
+	STAMINA_BAR_HEIGHT: 8,
+	MANA_BAR_HEIGHT: 6,
 
 	// Combat Log - VISIBLE must be < HISTORY to prevent index sync issues
 	COMBAT_LOG_HISTORY: 500,  // Logger data retention
@@ -216,6 +218,23 @@ export function calculateHPBuffer(stats) {
 	return Math.ceil(stats.instinct * willMult);
 }
 
+/**
+ * Calculate max stamina (fatigue pool)
+ * Formula: Con * conMultiplier + Will * willMultiplier
+ */
+export function calculateMaxStamina(stats) {
+	return stats.con * STAMINA.conMultiplier + stats.will * STAMINA.willMultiplier;
+}
+
+/**
+ * Calculate max mana (spell pool) - 0 for characters who know no spell
+ * Formula: Int * intMultiplier + Wis * wisMultiplier
+ */
+export function calculateMaxMana(stats) {
+	if (getKnownSpells(stats).length === 0) return 0;
+	return stats.int * MANA.intMultiplier + stats.wis * MANA.wisMultiplier;
+}
+
 /**
  * Calculate Cerebral Presence (awareness/attention capacity)
  * Formula: Per + Wis + Int
@@ -249,8 +268,9 @@ export const PASSIVE_BONUSES = {
 	critMultiplier: 'Multiplies critical hit damage (stacks with base 1.5x crit)',
 };
 
-// Triggered effect definitions (stubbed for future implementation)
+// Triggered effect definitions
 // These activate under specific conditions during combat
+// Condition effects (type: 'condition') are applied by ConditionManager.applyOnHitEffects()
 export const WEAPON_EFFECTS = {
 	// Conditions - applied to target on hit
 	rocked: { type: 'condition', effect: 'rocked', trigger: 'onHit', always: true },
@@ -263,6 +283,49 @@ export const WEAPON_EFFECTS = {
 	armorDamageEnhancementHeavy: { type: 'enhancement', effect: 'armorDamage', intensity: 'heavy' },
 };
 
+// Condition definitions - attached to characters as instances in character.conditions (Map)
+// duration: rounds the condition stays active after the round it was applied in
+// stacking: 'refresh' (reset duration only) or 'intensity' (add a stack up to maxStacks, reset duration)
+// modifiers: flat bonuses gathered via getConditionModifier() (attackR, defenseR, actionSpeed, moveSpeed, morale, spellResist)
+// tick: per-round effect applied at round start; damage is per stack, keyed by intensity
+export const CONDITIONS = {
+	rocked: { name: 'Rocked', duration: 1, stacking: 'refresh', maxStacks: 1, modifiers: { defenseR: -10, actionSpeed: 8 } },
+	bleeding: { name: 'Bleeding', duration: 3, stacking: 'intensity', maxStacks: 3, modifiers: {}, tick: { damage: { light: 1, heavy: 2 } } },
+	// Hit location conditions (HIT_LOCATIONS)
+	dazed: { name: 'Dazed', duration: 1, stacking: 'refresh', maxStacks: 1, modifiers: { attackR: -10, defenseR: -10 } },
+	weakened: { name: 'Weakened', duration: 2, stacking: 'refresh', maxStacks: 1, modifiers: { attackR: -10 } },
+	hobbled: { name: 'Hobbled', duration: 2, stacking: 'refresh', maxStacks: 1, modifiers: { defenseR: -5, moveSpeed: 10 } },
+	// Cerebral ability conditions (PRESENCE) - taunted forces the AI to target character.tauntedBy
+	shaken: { name: 'Shaken', duration: 2, stacking: 'refresh', maxStacks: 1, modifiers: { attackR: -5, morale: -20 } },
+	taunted: { name: 'Taunted', duration: 1, stacking: 'refresh', maxStacks: 1, modifiers: {} },
+	// Spell conditions (SPELLS)
+	warded: { name: 'Warded', duration: 2, stacking: 'refresh', maxStacks: 1, modifiers: { defenseR: 10, spellResist: 20 } },
+};
+
+// Hit locations - rolled on every hit (d100 against cumulative weight), or chosen with a called shot
+// damageMult: applied after resistance, before DR; armorCoverage: fraction of armor DR protecting the location (no helmets)
+// condition: CONDITIONS key applied when damage gets through (ConditionManager.applyLocationEffect)
+// calledShotPenalty: THC penalty for aiming at the location
+export const HIT_LOCATIONS = {
+	head: { name: 'Head', weight: 10, damageMult: 1.5, armorCoverage: 0.5, condition: 'dazed', calledShotPenalty: 30 },
+	torso: { name: 'Torso', weight: 45, damageMult: 1.0, armorCoverage: 1.0, condition: null, calledShotPenalty: 10 },
+	arms: { name: 'Arms', weight: 25, damageMult: 0.75, armorCoverage: 1.0, condition: 'weakened', calledShotPenalty: 20 },
+	legs: { name: 'Legs', weight: 20, damageMult: 0.75, armorCoverage: 1.0, condition: 'hobbled', calledShotPenalty: 20 },
+};
+
+/**
+ * Get total modifier from all active conditions on a character
+ * Characters without a conditions Map (e.g., character creator previews) get 0
+ */
+export function getConditionModifier(character, modifierName) {
+	if (!character.conditions) return 0;
+	let total = 0;
+	for (const instance of character.conditions.values()) {
+		total += CONDITIONS[instance.key]?.modifiers?.[modifierName] || 0;
+	}
+	return total;
+}
+
 // Damage type properties - define special behaviors for each damage type
 export const DAMAGE_TYPE_PROPERTIES = {
 	concussive: {
@@ -271,43 +334,302 @@ export const DAMAGE_TYPE_PROPERTIES = {
 	},
 	blunt: {},
 	slash: {},
-	piercing: {}
+	piercing: {},
+	// Spell damage (SPELLS) - goes past armor DR
+	arcane: {},
+	fire: {}
 };
 
 // Equipment definitions
 // grip: 'one' (short/unarmed - mainHand only), 'two' (long weapons), 'off' (shields - offHand only)
+// weight: carried weight (kg), counted by InventoryManager.getCarriedWeight
 // passives: { defenseR, attackR, critMultiplier, evasionBonus, ... } - gathered via getEquipmentBonus()
 // effects: triggered effects referencing WEAPON_EFFECTS keys
+// ranged: { minRange, maxRange, ammo, rangePenalty } - ranged weapons only (see getAttackRange, RANGED_COMBAT)
+// reach: max melee range in hexes for polearms (see getAttackRange, REACH_COMBAT)
 export const WEAPONS = {
-	unarmed: { name: 'Unarmed', base: 2, type: 'concussive', force: 1, speed: 16, grip: 'two', passives: { evasionBonus: 5, critMod: -25 }, effects: ['rockedOnHit'] },
-	shortSpear: { name: 'Short Spear', base: 3, type: 'piercing', force: 1, speed: 19, grip: 'one', passives: {}, effects: ['vulnerableEnhancementLight'] },
-	shortSword: { name: 'Short Sword', base: 4, type: 'slash', force: 2, speed: 18, grip: 'one', passives: {}, effects: ['bleedingLight'] },
-	shortHammer: { name: 'Short Hammer', base: 6, type: 'blunt', force: 3, speed: 26, grip: 'one', passives: { critMod: -15 }, effects: ['armorDamageEnhancementLight'] },
-	longSword: { name: 'Long Sword', base: 8, type: 'slash', force: 4, speed: 20, grip: 'two', passives: {}, effects: ['bleedingHeavy'] },
-	longSpear: { name: 'Long Spear', base: 6, type: 'piercing', force: 4, speed: 20, grip: 'two', passives: {}, effects: ['vulnerableEnhancementHeavy'] },
-	longHammer: { name: 'Long Hammer', base: 10, type: 'blunt', force: 6, speed: 31, grip: 'two', passives: { critMod: -15 }, effects: ['armorDamageEnhancementHeavy'] },
-	smallShield: { name: 'Small Shield', base: 1, type: 'blunt', force: 2, speed: 17, grip: 'off', passives: { defenseR: 4 }, effects: [] },
-	largeShield: { name: 'Large Shield', base: 1, type: 'blunt', force: 3, speed: 20, grip: 'off', passives: { defenseR: 8 }, effects: [] },
+	unarmed: { name: 'Unarmed', base: 2, type: 'concussive', force: 1, speed: 16, weight: 0, grip: 'two', passives: { evasionBonus: 5, critMod: -25 }, effects: ['rocked'] },
+	shortSpear: { name: 'Short Spear', base: 3, type: 'piercing', force: 1, speed: 19, weight: 2, grip: 'one', passives: {}, effects: ['vulnerableEnhancementLight'] },
+	shortSword: { name: 'Short Sword', base: 4, type: 'slash', force: 2, speed: 18, weight: 1.5, grip: 'one', passives: {}, effects: ['bleedingLight'] },
+	shortHammer: { name: 'Short Hammer', base: 6, type: 'blunt', force: 3, speed: 26, weight: 2, grip: 'one', passives: { critMod: -15 }, effects: ['armorDamageEnhancementLight'] },
+	longSword: { name: 'Long Sword', base: 8, type: 'slash', force: 4, speed: 20, weight: 3, grip: 'two', passives: {}, effects: ['bleedingHeavy'] },
+	longSpear: { name: 'Long Spear', base: 6, type: 'piercing', force: 4, speed: 20, weight: 3.5, grip: 'two', passives: {}, effects: ['vulnerableEnhancementHeavy'], reach: 2 },
+	longHammer: { name: 'Long Hammer', base: 10, type: 'blunt', force: 6, speed: 31, weight: 5, grip: 'two', passives: { critMod: -15 }, effects: ['armorDamageEnhancementHeavy'] },
+	smallShield: { name: 'Small Shield', base: 1, type: 'blunt', force: 2, speed: 17, weight: 3, grip: 'off', passives: { defenseR: 4 }, effects: [], block: { chance: 10, absorb: 0.5 } },
+	largeShield: { name: 'Large Shield', base: 1, type: 'blunt', force: 3, speed: 20, weight: 6, grip: 'off', passives: { defenseR: 8 }, effects: [], block: { chance: 15, absorb: 0.75 } },
+	// Ranged - rangePenalty is THC lost per hex beyond the first
+	javelin: { name: 'Javelin', base: 5, type: 'piercing', force: 2, speed: 21, weight: 1.5, grip: 'one', passives: {}, effects: [], ranged: { minRange: 1, maxRange: 4, ammo: 3, rangePenalty: 6 } },
+	shortBow: { name: 'Short Bow', base: 4, type: 'piercing', force: 1, speed: 22, weight: 1, grip: 'two', passives: {}, effects: [], ranged: { minRange: 2, maxRange: 6, ammo: 12, rangePenalty: 4 } },
+	crossbow: { name: 'Crossbow', base: 9, type: 'piercing', force: 0, speed: 34, weight: 4, grip: 'two', passives: {}, effects: [], ranged: { minRange: 2, maxRange: 8, ammo: 8, rangePenalty: 3 } },
+};
+
+// Ability definitions - the ABILITY combat action (AbilityManager, CombatSystem.executeAbility)
+// cost: { stamina } spent when the ability resolves; range: max hexes from the user to the target hex (0 = self)
+// target: 'self', 'ally' (self or a faction ally) or 'enemy' - single enemy abilities roll to hit (resolveHitRoll)
+// shape: { type: 'single' } (the character on the target hex) or { type: 'burst', radius, affects: 'enemies'|'allies' }
+//        (everyone matching within radius of the target hex - always lands)
+// speed: ATTACK_TYPES key timing the action (calculateActionSpeed); animation: sprite animation played by the user
+// effects: { type: 'damage', amount, damageType } | { type: 'condition', condition } | { type: 'heal', amount } (HealingManager.heal)
+// requires: equipment the user must hold - 'shield' (hasShieldEquipped); without it the ability isn't available
+// Granted by a template's abilities list, or to anyone with skill.key at skill.level or higher
+// ai: when the AI picks it - { chance } (% per round), { minTargets } (burst), { maxHealthFraction } (self)
+export const ABILITIES = {
+	headbutt: { name: 'Headbutt', cost: { stamina: 8 }, range: 1, target: 'enemy', shape: { type: 'single' }, speed: 'light', effects: [{ type: 'damage', amount: 3, damageType: 'concussive' }, { type: 'condition', condition: 'dazed' }], animation: 'attack', skill: { key: 'unarmed', level: 3 }, ai: { chance: 30 } },
+	shieldBash: { name: 'Shield Bash', cost: { stamina: 10 }, range: 1, target: 'enemy', shape: { type: 'single' }, speed: 'light', effects: [{ type: 'damage', amount: 2, damageType: 'blunt' }, { type: 'condition', condition: 'rocked' }], animation: 'attack', requires: 'shield', skill: { key: 'block', level: 4 }, ai: { chance: 30 } },
+	warCry: { name: 'War Cry', cost: { stamina: 12 }, range: 0, target: 'self', shape: { type: 'burst', radius: 2, affects: 'enemies' }, speed: 'heavy', effects: [{ type: 'condition', condition: 'shaken' }], animation: 'jump', ai: { minTargets: 2 } },
+	secondWind: { name: 'Second Wind', cost: { stamina: 15 }, range: 0, target: 'self', shape: { type: 'single' }, speed: 'heavy', effects: [{ type: 'heal', amount: 6 }], animation: 'idle2', ai: { maxHealthFraction: 0.4 } },
+};
+
+// Magic schools - each is cast with one cerebral stat, which decides the spells known and their potency
+export const SPELL_SCHOOLS = {
+	evocation: { name: 'Evocation', stat: 'int' },
+	abjuration: { name: 'Abjuration', stat: 'wis' },
+	restoration: { name: 'Restoration', stat: 'wis' },
+};
+
+// Spell definitions - the CAST combat action (SpellManager, CombatSystem.executeCast)
+// Known by anyone whose school stat is minStat or higher (getKnownSpells); mana: spent when the cast resolves, fizzled or not
+// range: max hexes to the target hex, which must be in clear line of sight
+// target: 'enemy' (a non-ally), 'ally' (self or a faction ally) or 'hex' (any hex - area spells)
+// area: template on the hex grid - { type: 'single' } (the character on the target hex), { type: 'burst', radius }
+//       (everyone within radius of the target hex but the caster) or { type: 'line' } (every hex from the caster to the target hex)
+// speed: ATTACK_TYPES key timing the cast; effects: like ABILITIES, amounts add floor(school stat / SPELLCASTING.potencyDivisor)
+// ai: when the AI casts it - { minTargets } (enemies caught, no one else) or { healBelow } (health fraction of self or an ally)
+export const SPELLS = {
+	arcaneBolt: { name: 'Arcane Bolt', school: 'evocation', minStat: 7, mana: 6, range: 5, target: 'enemy', area: { type: 'single' }, speed: 'light', effects: [{ type: 'damage', amount: 2, damageType: 'arcane' }], ai: { minTargets: 1 } },
+	lightningLance: { name: 'Lightning Lance', school: 'evocation', minStat: 8, mana: 10, range: 4, target: 'hex', area: { type: 'line' }, speed: 'heavy', effects: [{ type: 'damage', amount: 1, damageType: 'arcane' }, { type: 'condition', condition: 'rocked' }], ai: { minTargets: 2 } },
+	flameBurst: { name: 'Flame Burst', school: 'evocation', minStat: 9, mana: 12, range: 4, target: 'hex', area: { type: 'burst', radius: 1 }, speed: 'heavy', effects: [{ type: 'damage', amount: 1, damageType: 'fire' }], ai: { minTargets: 2 } },
+	ward: { name: 'Ward', school: 'abjuration', minStat: 7, mana: 6, range: 3, target: 'ally', area: { type: 'single' }, speed: 'light', effects: [{ type: 'condition', condition: 'warded' }] },
+	mend: { name: 'Mend', school: 'restoration', minStat: 6, mana: 8, range: 3, target: 'ally', area: { type: 'single' }, speed: 'heavy', effects: [{ type: 'heal', amount: 1 }], ai: { healBelow: 0.5 } },
+};
+
+// Casting rules (SpellManager)
+// Resistance: hostile targets resist with will - chance = baseResist + (target will - caster school stat) * willMultiplier
+//   + spellResist condition modifiers, clamped to minResist..maxResist; a resisted spell deals half damage and no condition
+// Fizzle: failurePerEngager (%) per enemy engaging the caster, up to maxFailure
+export const SPELLCASTING = {
+	baseResist: 20,
+	willMultiplier: 5,
+	minResist: 5,
+	maxResist: 75,
+	failurePerEngager: 25,
+	maxFailure: 75,
+	potencyDivisor: 2,
+};
+
+// Mana pool - spent by the CAST action, recovers on WAIT and in exploration (see calculateMaxMana)
+export const MANA = {
+	intMultiplier: 2,
+	wisMultiplier: 2,
+	waitRecovery: 6,
+	explorationRecoveryPerSecond: 2,
+};
+
+/**
+ * SPELLS keys known with these stats (school stat at the spell's minStat or higher), in registry order
+ */
+export function getKnownSpells(stats) {
+	return Object.keys(SPELLS).filter(key => {
+		const spell = SPELLS[key];
+		return (stats[SPELL_SCHOOLS[spell.school].stat] || 0) >= spell.minStat;
+	});
+}
+
+/**
+ * Recover mana (capped at max)
+ */
+export function recoverMana(character, amount) {
+	character.mana = Math.min(character.maxMana, character.mana + amount);
+}
+
+// Ranged combat tuning
+// coverPenalty: THC lost per standing character between shooter and target (line-of-sight cover)
+export const RANGED_COMBAT = {
+	coverPenalty: 15,
+};
+
+// Terrain types - painted onto hexes by an area's optional 'terrain' section (see Pathfinding.setTerrain)
+// moveCost: A* cost of stepping onto the hex (never below 1, the hex-distance heuristic relies on it)
+// moveSpeed: added to calculateMoveSpeed when the move ends on the hex
+// defenseR / attackR: added to the THC roll of a character standing on the hex
+// footing: added to a defender's str + con against knockback and shove
+// overlay: fill colour drawn by HexGridRenderer while the grid is shown
+export const TERRAIN_TYPES = {
+	road: { name: 'Road', moveCost: 1, moveSpeed: -3, defenseR: 0, attackR: 0, footing: 0, overlay: 'rgba(190, 160, 110, 0.25)' },
+	tallGrass: { name: 'Tall Grass', moveCost: 1.5, moveSpeed: 2, defenseR: 5, attackR: 0, footing: 0, overlay: 'rgba(90, 170, 60, 0.25)' },
+	mud: { name: 'Mud', moveCost: 2, moveSpeed: 6, defenseR: -5, attackR: -5, footing: -2, overlay: 'rgba(110, 75, 40, 0.35)' },
+	shallowWater: { name: 'Shallow Water', moveCost: 3, moveSpeed: 8, defenseR: -10, attackR: -5, footing: -2, overlay: 'rgba(60, 130, 210, 0.3)' },
+	rubble: { name: 'Rubble', moveCost: 2, moveSpeed: 4, defenseR: 0, attackR: -5, footing: -1, overlay: 'rgba(140, 140, 140, 0.3)' },
+};
+
+// Knockback - heavy hits with a listed damage type push the defender one hex away from the attacker
+// Pushes when weapon.force * forceMultiplier >= defender str + con
+// collisionDamage: concussive damage (straight to health) when the push is stopped by terrain or a character
+export const KNOCKBACK = {
+	damageTypes: ['blunt'],
+	forceMultiplier: 2,
+	collisionDamage: 4,
+};
+
+// Shove action - push an adjacent enemy one hex away (same push and collision as KNOCKBACK)
+// chance = baseChance + (2 * attacker str - defender str - defender con) * statMultiplier, clamped to minChance..maxChance
+export const SHOVE = {
+	baseChance: 50,
+	statMultiplier: 5,
+	minChance: 5,
+	maxChance: 95,
+};
+
+// Grapple action (unarmed only) - locks grappler and target in place (GrappleManager)
+// Contest score = str + dex + unarmed skill; chance = baseChance + (score difference) * scoreMultiplier, clamped to minChance..maxChance
+// The target tries to break free each round start, with holdBonus taken off its chance
+export const GRAPPLE = {
+	baseChance: 50,
+	scoreMultiplier: 4,
+	holdBonus: 10,
+	minChance: 5,
+	maxChance: 95,
+};
+
+// Cerebral abilities (PresenceManager) - INTIMIDATE (applies shaken) and TAUNT (applies taunted)
+// Contest: chance = baseChance + (user Cerebral Presence - target will * willMultiplier) * scoreMultiplier, clamped to minChance..maxChance
+// range: max hexes to the target, which must be in clear line of sight
+export const PRESENCE = {
+	baseChance: 50,
+	willMultiplier: 3,
+	scoreMultiplier: 3,
+	minChance: 5,
+	maxChance: 95,
+	range: 3,
+};
+
+// Reach weapon tuning
+// closePenalty: THC lost striking an enemy that has closed to an adjacent hex
+export const REACH_COMBAT = {
+	closePenalty: 15,
 };
 
+/**
+ * Get min/max attack range for a weapon (melee weapons reach adjacent hexes only, unless they have reach)
+ */
+export function getAttackRange(weaponKey) {
+	const ranged = WEAPONS[weaponKey]?.ranged;
+	if (!ranged) return { minRange: 1, maxRange: WEAPONS[weaponKey]?.reach || 1 };
+	return { minRange: ranged.minRange, maxRange: ranged.maxRange };
+}
+
+/**
+ * Create full ammo counts for a character's equipped ranged weapons
+ * Returns { weaponKey: count } (empty for melee-only loadouts)
+ */
+export function createAmmo(equipment) {
+	const ammo = {};
+	for (const weaponKey of [equipment.mainHand, equipment.offHand]) {
+		const ranged = WEAPONS[weaponKey]?.ranged;
+		if (ranged) ammo[weaponKey] = ranged.ammo;
+	}
+	return ammo;
+}
+
+// Non-equipment items (loot table extras, inventory stacks)
+// weight: per item (kg). Consumables have a use effect (USE combat action, InventoryManager):
+// heal: HP restored (HealingManager.heal), cures: condition removed,
+// thrown: flat damage to a target within maxRange (rangePenalty is THC lost per hex beyond the first)
+export const ITEMS = {
+	coins: { name: 'Coins', stackable: true, weight: 0.01 },
+	bandage: { name: 'Bandage', stackable: true, weight: 0.1, cures: 'bleeding' },
+	healingDraught: { name: 'Healing Draught', stackable: true, weight: 0.5, heal: 15 },
+	throwingKnife: { name: 'Throwing Knife', stackable: true, weight: 0.3, thrown: { damage: 5, type: 'piercing', maxRange: 4, rangePenalty: 6 } },
+};
+
+// Carried weight of worn armor by ARMOR_TYPES weight class (kg)
+export const ARMOR_WEIGHTS = {
+	none: 0,
+	light: 6,
+	medium: 12,
+	heavy: 20,
+};
+
+/**
+ * Check if an item can be used up with the USE action (has a heal, cures or thrown effect)
+ */
+export function isConsumable(itemKey) {
+	const item = ITEMS[itemKey];
+	return !!(item && (item.heal || item.cures || item.thrown));
+}
+
+/**
+ * Get the weight of an equipment key or inventory entry ({ type: 'weapon'|'armor'|'item', key, count })
+ */
+export function getItemWeight(entry) {
+	const count = entry.count || 1;
+	if (entry.type === 'weapon') return (WEAPONS[entry.key]?.weight || 0) * count;
+	if (entry.type === 'armor') return (ARMOR_WEIGHTS[ARMOR_TYPES[entry.key]?.weight] || 0) * count;
+	return (ITEMS[entry.key]?.weight || 0) * count;
+}
+
+/**
+ * Get display name for a loot/inventory entry ({ type: 'weapon'|'armor'|'item', key, count })
+ */
+export function getItemName(entry) {
+	const source = entry.type === 'weapon' ? WEAPONS : entry.type === 'armor' ? ARMOR_TYPES : ITEMS;
+	const name = source[entry.key]?.name || entry.key;
+	return entry.count > 1 ? `${name} x${entry.count}` : name;
+}
+
 // Attack types - affect action speed and damage
 export const ATTACK_TYPES = {
 	light: { name: 'light Attack', speedMod: 12, damageMod: 0 },
 	heavy: { name: 'heavy Attack', speedMod: 22, damageMod: 6 },
 };
 
+// Weapon swap (SWAP action) - speedMod stands in for the attack type modifier when timing the swap
+export const WEAPON_SWAP = {
+	speedMod: 8,
+};
+
 // Armor definitions
 // mobility affects move speed (reduced by Str), flankingDefense affects DR when flanked
+// durability is the max for per-character armor instances; worn armor loses defense proportionally
 // passives: { ... } - gathered via getEquipmentBonus() along with weapon/shield passives
 export const ARMOR_TYPES = {
-	none: { name: 'Unarmored', defense: 0, mobility: 20, weight: 'none', noise: 'none', resistantAgainst: [], vulnerableAgainst: [], flankingDefense: 1.0, passives: {} },
-	leather: { name: 'Leather', defense: 6, mobility: 20, weight: 'light', noise: 'none', resistantAgainst: ['piercing'], vulnerableAgainst: ['blunt'], flankingDefense: 1.5, passives: {} },
-	scale: { name: 'Scale', defense: 8, mobility: 25, weight: 'medium', noise: 'medium', resistantAgainst: ['slash'], vulnerableAgainst: ['piercing'], flankingDefense: 0.0, passives: {} },
-	brigandine: { name: 'Brigandine', defense: 10, mobility: 23, weight: 'medium', noise: 'low', resistantAgainst: ['piercing', 'slash'], vulnerableAgainst: ['blunt'], flankingDefense: 0.5, passives: {} },
-	chain: { name: 'Chain (Heavy)', defense: 10, mobility: 28, weight: 'heavy', noise: 'medium', resistantAgainst: ['slash'], vulnerableAgainst: ['blunt', 'piercing'], flankingDefense: 0.25, passives: {} },
-	plate: { name: 'Plate', defense: 12, mobility: 30, weight: 'heavy', noise: 'high', resistantAgainst: ['slash', 'blunt'], vulnerableAgainst: ['piercing'], flankingDefense: 0.75, passives: {} },
+	none: { name: 'Unarmored', defense: 0, mobility: 20, weight: 'none', noise: 'none', resistantAgainst: [], vulnerableAgainst: [], flankingDefense: 1.0, durability: 0, passives: {} },
+	leather: { name: 'Leather', defense: 6, mobility: 20, weight: 'light', noise: 'none', resistantAgainst: ['piercing'], vulnerableAgainst: ['blunt'], flankingDefense: 1.5, durability: 30, passives: {} },
+	scale: { name: 'Scale', defense: 8, mobility: 25, weight: 'medium', noise: 'medium', resistantAgainst: ['slash'], vulnerableAgainst: ['piercing'], flankingDefense: 0.0, durability: 40, passives: {} },
+	brigandine: { name: 'Brigandine', defense: 10, mobility: 23, weight: 'medium', noise: 'low', resistantAgainst: ['piercing', 'slash'], vulnerableAgainst: ['blunt'], flankingDefense: 0.5, durability: 45, passives: {} },
+	chain: { name: 'Chain (Heavy)', defense: 10, mobility: 28, weight: 'heavy', noise: 'medium', resistantAgainst: ['slash'], vulnerableAgainst: ['blunt', 'piercing'], flankingDefense: 0.25, durability: 50, passives: {} },
+	plate: { name: 'Plate', defense: 12, mobility: 30, weight: 'heavy', noise: 'high', resistantAgainst: ['slash', 'blunt'], vulnerableAgainst: ['piercing'], flankingDefense: 0.75, durability: 60, passives: {} },
+};
+
+// Armor wear per hit that lands on armor (see CombatSystem.applyArmorWear)
+// base: durability lost on every hit against worn armor
+// enhancement: extra wear from armorDamageEnhancement effects when attack type matches intensity
+// repairHostileRange: no armor repair with a living hostile this close to the party (hexes)
+export const ARMOR_WEAR = {
+	base: 1,
+	enhancement: { light: 3, heavy: 6 },
+	repairHostileRange: 8,
 };
 
+/**
+ * Create a per-character armor instance at full durability
+ * Armor instances persist across combats until repaired
+ */
+export function createArmorInstance(armorKey) {
+	const maxDurability = ARMOR_TYPES[armorKey]?.durability || 0;
+	return { key: armorKey, durability: maxDurability, maxDurability };
+}
+
+/**
+ * Calculate armor defense scaled by remaining durability
+ * Formula: ceil(armor.defense * durability / maxDurability)
+ * Armor without durability (e.g., 'none') always uses its base defense
+ */
+export function getEffectiveArmorDefense(armor, armorInstance) {
+	if (!armorInstance || armorInstance.maxDurability <= 0) return armor.defense;
+	return Math.ceil(armor.defense * (armorInstance.durability / armorInstance.maxDurability));
+}
+
 // Turn speed tiers - lower total speed = faster tier
 // Move phase uses armor.mobility, Action phase uses weapon+shield speed + attackType - Dex
 export const TURN_SPEED_TIERS = [
@@ -330,8 +652,16 @@ export function getSpeedTier(speed) {
 }
 
 /**
- * Calculate action speed (for attacks)
- * Formula: weapon.speed + shield.speed (if not 2h) + attackType.speedMod - Dex
+ * Speed modifier for an ATTACK_TYPES key, or 'swap' for the SWAP action (WEAPON_SWAP - a swap is not an attack)
+ */
+export function getActionSpeedMod(attackType) {
+	if (attackType === 'swap') return WEAPON_SWAP.speedMod;
+	return ATTACK_TYPES[attackType]?.speedMod || 10;
+}
+
+/**
+ * Calculate action speed (for attacks, and SWAP with attackType 'swap')
+ * Formula: weapon.speed + shield.speed (if not 2h) + attackType.speedMod - Dex + condition actionSpeed + exhaustion
  */
 export function calculateActionSpeed(character, attackType = 'light') {
 	const weaponKey = character.equipment.mainHand;
@@ -346,22 +676,76 @@ export function calculateActionSpeed(character, attackType = 'light') {
 		speed += offHand.speed;
 	}
 
-	// Add attack type modifier, reduced by Dex
-	const attackMod = ATTACK_TYPES[attackType]?.speedMod || 10;
+	// Add attack type (or swap) modifier, reduced by Dex
+	const attackMod = getActionSpeedMod(attackType);
 	speed += attackMod - character.stats.dex;
 
+	// Conditions (e.g., rocked) and exhaustion slow the action down
+	speed += getConditionModifier(character, 'actionSpeed');
+	speed += getExhaustionModifier(character, 'actionSpeed');
+
 	return Math.max(0, speed);
 }
 
+/**
+ * Equipment a character would hold after swapping to its secondary weapon set
+ */
+export function getSwappedEquipment(character) {
+	return { ...character.equipment, ...character.secondaryEquipment };
+}
+
+/**
+ * Check if a swap only drops the shield (same main hand, no off-hand drawn) - dropping is instant
+ */
+export function isInstantSwap(character) {
+	const next = character.secondaryEquipment;
+	return next.mainHand === character.equipment.mainHand && !next.offHand && !!character.equipment.offHand;
+}
+
+/**
+ * Calculate SWAP action speed: calculateActionSpeed for the set being drawn (a drawn shield adds its speed,
+ * the one put away does not) with WEAPON_SWAP.speedMod. Instant swaps take no time
+ */
+export function calculateSwapSpeed(character) {
+	if (isInstantSwap(character)) return 0;
+	return calculateActionSpeed({ ...character, equipment: getSwappedEquipment(character) }, 'swap');
+}
+
+/**
+ * Trade the held main hand/off-hand with character.secondaryEquipment
+ * A drawn ranged weapon comes with its own ammo if it has none yet (all ammo is refilled after combat)
+ */
+export function swapWeaponSets(character) {
+	const { mainHand, offHand } = character.equipment;
+	character.equipment.mainHand = character.secondaryEquipment.mainHand;
+	character.equipment.offHand = character.secondaryEquipment.offHand;
+	character.secondaryEquipment = { mainHand, offHand };
+	character.weaponSetSwapped = !character.weaponSetSwapped;
+
+	const ranged = WEAPONS[character.equipment.mainHand].ranged;
+	if (ranged && character.ammo[character.equipment.mainHand] === undefined) {
+		character.ammo[character.equipment.mainHand] = ranged.ammo;
+	}
+}
+
+/**
+ * Draw the primary weapon set back if the secondary one is held (combat end - saved builds only know the primary set)
+ */
+export function restorePrimaryWeaponSet(character) {
+	if (character.weaponSetSwapped) swapWeaponSets(character);
+}
+
 /**
  * Calculate move speed (for movement phase)
- * Formula: armor.mobility - Str
+ * Formula: armor.mobility - Str + condition moveSpeed + destination terrain moveSpeed
+ * @param {string|null} terrainKey - TERRAIN_TYPES key of the hex being moved onto
  */
-export function calculateMoveSpeed(character) {
+export function calculateMoveSpeed(character, terrainKey = null) {
 	const armorKey = character.equipment.armor || 'none';
 	const armor = ARMOR_TYPES[armorKey];
 	const mobility = armor ? armor.mobility : ARMOR_TYPES.none.mobility;
-	return Math.max(0, mobility - character.stats.str);
+	const terrain = TERRAIN_TYPES[terrainKey]?.moveSpeed || 0;
+	return Math.max(0, mobility - character.stats.str + getConditionModifier(character, 'moveSpeed') + terrain);
 }
 
 /**
@@ -407,6 +791,7 @@ export function calculateCSC(attacker, defender) {
 export const SKILLS = {
 	defense: ['block', 'dodge'],
 	weapons: ['unarmed', 'shortSword', 'longSword', 'shortSpear', 'longSpear', 'shortHammer', 'longHammer'],
+	ranged: ['javelin', 'shortBow', 'crossbow'],
 	critical: ['criticalStrike', 'criticalDefense'],
 };
 
@@ -424,6 +809,10 @@ export function createDefaultSkills() {
 		longSpear: 1,
 		shortHammer: 1,
 		longHammer: 1,
+		// Ranged
+		javelin: 1,
+		shortBow: 1,
+		crossbow: 1,
 		// Critical
 		criticalStrike: 1,
 		criticalDefense: 1,
@@ -432,28 +821,57 @@ export function createDefaultSkills() {
 
 /**
  * Calculate weapon skill synergy bonus
- * Weapons with the same damage type give synergy: floor(partnerSkill / 3)
+ * Weapons with the same damage type and category (melee/ranged) give synergy: floor(partnerSkill / 3)
  * e.g., Long Slash at 6 gives +2 to Short Slash
  */
 export function getWeaponSynergy(character, weaponKey) {
-	const weapon = WEAPONS[weaponKey];
-	if (!weapon) return 0;
-
 	let maxSynergy = 0;
-	for (const otherKey of SKILLS.weapons) {
-		if (otherKey === weaponKey) continue;
-		const otherWeapon = WEAPONS[otherKey];
-		if (otherWeapon && otherWeapon.type === weapon.type) {
-			const otherSkill = character.skills[otherKey] || 1;
-			maxSynergy = Math.max(maxSynergy, Math.floor(otherSkill / 3));
-		}
+	for (const otherKey of getSynergyPartners(weaponKey)) {
+		const otherSkill = character.skills[otherKey] || 1;
+		maxSynergy = Math.max(maxSynergy, Math.floor(otherSkill / 3));
 	}
 	return maxSynergy;
 }
 
+/**
+ * Get the weapon skills that share synergy with a weapon (same damage type and melee/ranged category)
+ */
+export function getSynergyPartners(weaponKey) {
+	const weapon = WEAPONS[weaponKey];
+	if (!weapon) return [];
+	return [...SKILLS.weapons, ...SKILLS.ranged].filter(otherKey => {
+		if (otherKey === weaponKey) return false;
+		const otherWeapon = WEAPONS[otherKey];
+		return otherWeapon && otherWeapon.type === weapon.type && !otherWeapon.ranged === !weapon.ranged;
+	});
+}
+
+// Use-based skill progression
+// Raising a skill from level L to L+1 takes L * xpPerLevel XP; skills cap at maxLevel
+// weaponHit: XP for the weapon that landed a hit (synergy partners get synergyShare of it)
+// defense: XP for dodge/block on an evaded attack or shield block; crit: XP for criticalStrike
+export const SKILL_PROGRESSION = {
+	xpPerLevel: 5,
+	maxLevel: 10,
+	xp: { weaponHit: 2, defense: 2, crit: 2 },
+	synergyShare: 0.5,
+};
+
+// Display names for non-weapon skills (weapon skills use WEAPONS[key].name)
+const SKILL_NAMES = {
+	block: 'Block',
+	dodge: 'Dodge',
+	criticalStrike: 'Critical Strike',
+	criticalDefense: 'Critical Defense',
+};
+
+export function getSkillName(skillKey) {
+	return WEAPONS[skillKey]?.name || SKILL_NAMES[skillKey] || skillKey;
+}
+
 /**
  * Calculate Attack Rating
- * Formula: ((skill + synergy) * 5) + (Str * 3) + (Dex * 2) + weapon.attackR
+ * Formula: ((skill + synergy) * 5) + (Str * 3) + (Dex * 2) + weapon.attackR + condition attackR + exhaustion
  */
 export function calculateAttackRating(character) {
 	const weaponKey = character.equipment.mainHand;
@@ -461,7 +879,8 @@ export function calculateAttackRating(character) {
 	const skillLevel = character.skills[weaponKey] || 1;
 	const synergy = getWeaponSynergy(character, weaponKey);
 	const attrBonus = weapon.attackR || 0;
-	return ((skillLevel + synergy) * 5) + (character.stats.str * 3) + (character.stats.dex * 2) + attrBonus;
+	const conditionMod = getConditionModifier(character, 'attackR') + getExhaustionModifier(character, 'attackR');
+	return ((skillLevel + synergy) * 5) + (character.stats.str * 3) + (character.stats.dex * 2) + attrBonus + conditionMod;
 }
 
 /**
@@ -478,18 +897,245 @@ export function getEquipmentBonus(character, bonusName) {
 		+ (armor?.passives?.[bonusName] || 0);
 }
 
+// DEFEND action stance (lasts for the round it was chosen in)
+// defenseBonus: flat Defense Rating bonus while defending
+// blockSkillMultiplier: replaces the x5 skill multiplier for shield-bearers (block skill used more strongly)
+// aiHealthThreshold: AI defends below this fraction of max HP when pressed by multiple enemies
+export const DEFEND_STANCE = {
+	defenseBonus: 10,
+	blockSkillMultiplier: 8,
+	aiHealthThreshold: 0.5,
+};
+
+// Stamina (fatigue) - spent by heavy attacks, shield blocks, shoves, grapples and running (fleeing) in combat
+// cost: stamina per action; heavy attacks, blocks, shoves and grapples need the full cost available, a flee step drains to 0 at worst
+// A plain one-hex combat MOVE is free - only the FLEE step is a run
+// Recovers waitRecovery on a WAIT action and explorationRecoveryPerSecond outside combat
+// Below exhaustedFraction of max the character is exhausted: exhaustedPenalty applies to attackR and actionSpeed
+export const STAMINA = {
+	conMultiplier: 3,
+	willMultiplier: 2,
+	cost: { heavyAttack: 8, block: 4, shove: 5, grapple: 6, flee: 3 },
+	waitRecovery: 10,
+	explorationRecoveryPerSecond: 5,
+	exhaustedFraction: 0.25,
+	exhaustedPenalty: { attackR: -10, actionSpeed: 6 },
+};
+
+/**
+ * Check if a character is exhausted (stamina below STAMINA.exhaustedFraction of max)
+ * Characters without a stamina pool (e.g. creation previews) are never exhausted
+ */
+export function isExhausted(character) {
+	if (character.stamina === undefined) return false;
+	return character.stamina < character.maxStamina * STAMINA.exhaustedFraction;
+}
+
+/**
+ * Get the exhaustion penalty for a stat ('attackR' | 'actionSpeed'), 0 when not exhausted
+ */
+export function getExhaustionModifier(character, stat) {
+	return isExhausted(character) ? (STAMINA.exhaustedPenalty[stat] || 0) : 0;
+}
+
+/**
+ * Check if a character has the stamina for an action in STAMINA.cost
+ */
+export function canAffordStamina(character, action) {
+	if (character.stamina === undefined) return true;
+	return character.stamina >= STAMINA.cost[action];
+}
+
+/**
+ * Spend stamina for an action in STAMINA.cost (never below 0), returns the amount spent
+ */
+export function spendStamina(character, action) {
+	const spent = Math.min(character.stamina, STAMINA.cost[action]);
+	character.stamina -= spent;
+	return spent;
+}
+
+/**
+ * Recover stamina up to max
+ */
+export function recoverStamina(character, amount) {
+	character.stamina = Math.min(character.maxStamina, character.stamina + amount);
+}
+
+// Lasting injuries - rolled on severe hits that leave the defender standing (InjuryManager)
+// A hit is severe when it crits or leaves the defender below INJURY_RULES.healthThreshold of max HP;
+// severe hits injure on a d100 <= INJURY_RULES.chance. The injury is picked by hit location.
+// stats/skills: penalties applied in place (never below STATS.MIN / level 1) until healed
+// healSeconds: exploration time to heal on its own; treating with a bandage heals one at once
+export const INJURIES = {
+	concussion: { name: 'Concussion', location: 'head', stats: { int: -2, per: -2 }, skills: {}, healSeconds: 240 },
+	crackedRibs: { name: 'Cracked Ribs', location: 'torso', stats: { con: -1 }, skills: { dodge: -2 }, healSeconds: 300 },
+	brokenArm: { name: 'Broken Arm', location: 'arms', stats: { str: -2 }, skills: { block: -2 }, healSeconds: 360 },
+	twistedKnee: { name: 'Twisted Knee', location: 'legs', stats: { dex: -2 }, skills: { dodge: -2 }, healSeconds: 240 },
+};
+
+export const INJURY_RULES = {
+	chance: 35,
+	healthThreshold: 0.25,
+	treatItem: 'bandage',
+};
+
+/**
+ * Apply an injury's stat/skill penalties to a character and record it in character.injuries
+ * The penalty actually applied (after clamping) is kept so healing restores exactly what was lost
+ * Returns the injury instance, or null if the character already has it
+ */
+export function applyInjuryEffects(character, injuryKey, remaining = INJURIES[injuryKey].healSeconds) {
+	const injury = INJURIES[injuryKey];
+	if (!injury || character.injuries.some(instance => instance.key === injuryKey)) return null;
+
+	const applied = { stats: {}, skills: {} };
+	for (const [stat, mod] of Object.entries(injury.stats)) {
+		const value = Math.max(STATS.MIN, character.stats[stat] + mod);
+		applied.stats[stat] = value - character.stats[stat];
+		character.stats[stat] = value;
+	}
+	for (const [skill, mod] of Object.entries(injury.skills)) {
+		const level = character.skills[skill] || 1;
+		const value = Math.max(1, level + mod);
+		applied.skills[skill] = value - level;
+		character.skills[skill] = value;
+	}
+
+	const instance = { key: injuryKey, remaining, applied };
+	character.injuries.push(instance);
+	refreshInjuredPools(character);
+	return instance;
+}
+
+/**
+ * Heal an injury: restore the penalties it applied and drop it from character.injuries
+ * Returns true if the character had the injury
+ */
+export function removeInjuryEffects(character, injuryKey) {
+	const index = character.injuries.findIndex(instance => instance.key === injuryKey);
+	if (index === -1) return false;
+
+	const { applied } = character.injuries[index];
+	for (const [stat, mod] of Object.entries(applied.stats)) {
+		character.stats[stat] = Math.min(STATS.MAX, character.stats[stat] - mod);
+	}
+	for (const [skill, mod] of Object.entries(applied.skills)) {
+		character.skills[skill] = Math.min(SKILL_PROGRESSION.maxLevel, character.skills[skill] - mod);
+	}
+	character.injuries.splice(index, 1);
+	refreshInjuredPools(character);
+	return true;
+}
+
+/**
+ * Max health and stamina are derived from str/con - recompute them after an injury changes stats
+ * Current health/stamina/mana are clamped to the new max (healing raises the cap, not the pool)
+ * maxMana is a getter on the current stats, so a lost Int/Wis point only needs the mana clamp
+ */
+function refreshInjuredPools(character) {
+	if (character.maxHealth === undefined) return;
+	character.maxHealth = calculateMaxHP(character.stats);
+	character.health = Math.min(character.health, character.maxHealth);
+	character.maxStamina = calculateMaxStamina(character.stats);
+	character.stamina = Math.min(character.stamina, character.maxStamina);
+	character.mana = Math.min(character.mana, character.maxMana);
+}
+
+/**
+ * Stats or skills ('stats' | 'skills') with every injury penalty taken back out - what a saved build holds
+ */
+export function getUninjuredValues(character, field) {
+	const values = { ...character[field] };
+	for (const instance of character.injuries || []) {
+		for (const [key, mod] of Object.entries(instance.applied[field])) {
+			values[key] -= mod;
+		}
+	}
+	return values;
+}
+
+// Out-of-combat healing (HealingManager, all healing is clamped to maxHealth)
+// Rest: lasts durationSeconds; every tickSeconds each party member regains max(1, round(con * conMultiplier)) HP.
+// Rest is refused or interrupted while a hostile is within interruptRange hexes of the party.
+// First aid: d100 <= baseChance + wis * wisMultiplier (clamped), heals healMin-healMax HP; once per patient between fights
+export const REST = {
+	durationSeconds: 30,
+	tickSeconds: 5,
+	conMultiplier: 0.3,
+	interruptRange: 8,
+};
+
+export const FIRST_AID = {
+	baseChance: 30,
+	wisMultiplier: 6,
+	minChance: 5,
+	maxChance: 95,
+	healMin: 3,
+	healMax: 8,
+};
+
+// Morale (AI willingness to keep fighting, re-checked every round)
+// base = will * willMultiplier + cha * chaMultiplier, +leaderBonus while a living faction leader (template leader: true) fights alongside
+// Penalties: allyFallenPenalty per defeated ally, leaderFallenPenalty once if the leader fell,
+// outnumberedPenalty per hostile beyond the allied headcount, up to hpLossPenalty as HP drops to 0
+// Below fleeThreshold the character flees; below surrenderThreshold (or with nowhere to run) it begs for mercy and surrenders
+export const MORALE = {
+	willMultiplier: 6,
+	chaMultiplier: 4,
+	leaderBonus: 15,
+	allyFallenPenalty: 15,
+	leaderFallenPenalty: 25,
+	outnumberedPenalty: 10,
+	hpLossPenalty: 50,
+	fleeThreshold: 35,
+	surrenderThreshold: 15,
+};
+
+// Shield block roll (after a successful hit, shields only)
+// Block chance = shield.block.chance + (block skill * skillMultiplier), scaled by offArcMultiplier
+// when the attack comes from outside the front arc. A blocked hit loses shield.block.absorb of its damage;
+// rolls within perfectBlockFraction of the chance negate it entirely
+export const SHIELD_BLOCK = {
+	skillMultiplier: 3,
+	offArcMultiplier: 0.5,
+	perfectBlockFraction: 0.25,
+};
+
+/**
+ * Holding a shield (an off-hand item with grip 'off') - decides block vs dodge
+ */
+export function hasShieldEquipped(character) {
+	const offHandKey = character.equipment.offHand;
+	return !!(offHandKey && WEAPONS[offHandKey]?.grip === 'off');
+}
+
+/**
+ * Calculate shield block chance (integer percentage 0-100) for a defender against an attack
+ * Returns 0 without a blocking off-hand shield
+ */
+export function calculateBlockChance(defender, fromFrontArc) {
+	const shield = defender.equipment.offHand ? WEAPONS[defender.equipment.offHand] : null;
+	if (!shield?.block) return 0;
+	const chance = shield.block.chance + ((defender.skills.block || 1) * SHIELD_BLOCK.skillMultiplier);
+	const arcMult = fromFrontArc ? 1 : SHIELD_BLOCK.offArcMultiplier;
+	return Math.max(0, Math.min(100, Math.floor(chance * arcMult)));
+}
+
 /**
  * Calculate Defense Rating
- * Formula: (skill * 5) + (Dex * 3) + (Instinct * 2) + defenseR (from passives) + 5 (base defense bonus)
+ * Formula: (skill * skillMult) + (Dex * 3) + (Instinct * 2) + defenseR (from passives) + 5 (base defense bonus) + condition defenseR + defend bonus
  * Uses block skill if holding shield, dodge skill otherwise
+ * skillMult is 5, or DEFEND_STANCE.blockSkillMultiplier for a defending shield-bearer
  */
 export function calculateDefenseRating(character) {
-	const offHandKey = character.equipment.offHand;
-	const offHand = offHandKey ? WEAPONS[offHandKey] : null;
-	const hasShield = offHand && offHand.grip === 'off';
+	const hasShield = hasShieldEquipped(character);
 	const skillLevel = hasShield ? character.skills.block : character.skills.dodge;
+	const skillMult = (character.isDefending && hasShield) ? DEFEND_STANCE.blockSkillMultiplier : 5;
 	const defenseBonus = getEquipmentBonus(character, 'defenseR');
-	return (skillLevel * 5) + (character.stats.dex * 3) + (character.stats.instinct * 2) + defenseBonus + 5;
+	const conditionMod = getConditionModifier(character, 'defenseR');
+	const defendBonus = character.isDefending ? DEFEND_STANCE.defenseBonus : 0;
+	return (skillLevel * skillMult) + (character.stats.dex * 3) + (character.stats.instinct * 2) + defenseBonus + 5 + conditionMod + defendBonus;
 }
 
 /**
@@ -534,7 +1180,28 @@ export const FACTIONS = {
 export const COMBAT_TAGS = {
 	'{{critical}}': '<span style="color: #001F3F;">[critical]</span>',
 	'{{flanking}}': '<span style="color: #001F3F;">[flanking]</span>',
+	'{{defending}}': '<span class="log-condition-bracket">[</span><span class="log-condition">defending</span><span class="log-condition-bracket">]</span>',
+	'{{cover}}': '<span class="log-condition-bracket">[</span><span class="log-condition">cover</span><span class="log-condition-bracket">]</span>',
+	'{{crowded}}': '<span class="log-condition-bracket">[</span><span class="log-condition">crowded</span><span class="log-condition-bracket">]</span>',
+	'{{disengage}}': '<span class="log-condition-bracket">[</span><span class="log-condition">disengage</span><span class="log-condition-bracket">]</span>',
+	'{{opportunity}}': '<span class="log-condition-bracket">[</span><span class="log-condition">opportunity</span><span class="log-condition-bracket">]</span>',
+	'{{knockedBack}}': '<span class="log-condition-bracket">[</span><span class="log-condition">knocked back</span><span class="log-condition-bracket">]</span>',
+	'{{grappled}}': '<span class="log-condition-bracket">[</span><span class="log-condition">grappled</span><span class="log-condition-bracket">]</span>',
+	'{{injured}}': '<span class="log-condition-bracket">[</span><span class="log-condition">injured</span><span class="log-condition-bracket">]</span>',
+	'{{fled}}': '<span class="log-condition-bracket">[</span><span class="log-condition">fled</span><span class="log-condition-bracket">]</span>',
+	'{{exhausted}}': '<span class="log-condition-bracket">[</span><span class="log-condition">exhausted</span><span class="log-condition-bracket">]</span>',
+	'{{surrendered}}': '<span class="log-condition-bracket">[</span><span class="log-condition">surrendered</span><span class="log-condition-bracket">]</span>',
 	'{{friendlyFire}}': '<span class="log-condition-bracket">[</span><span class="log-condition">friendly fire</span><span class="log-condition-bracket">]</span>',
+	'{{rocked}}': '<span class="log-condition-bracket">[</span><span class="log-condition">rocked</span><span class="log-condition-bracket">]</span>',
+	'{{dazed}}': '<span class="log-condition-bracket">[</span><span class="log-condition">dazed</span><span class="log-condition-bracket">]</span>',
+	'{{weakened}}': '<span class="log-condition-bracket">[</span><span class="log-condition">weakened</span><span class="log-condition-bracket">]</span>',
+	'{{hobbled}}': '<span class="log-condition-bracket">[</span><span class="log-condition">hobbled</span><span class="log-condition-bracket">]</span>',
+	'{{shaken}}': '<span class="log-condition-bracket">[</span><span class="log-condition">shaken</span><span class="log-condition-bracket">]</span>',
+	'{{taunted}}': '<span class="log-condition-bracket">[</span><span class="log-condition">taunted</span><span class="log-condition-bracket">]</span>',
+	'{{warded}}': '<span class="log-condition-bracket">[</span><span class="log-condition">warded</span><span class="log-condition-bracket">]</span>',
+	'{{resisted}}': '<span class="log-condition-bracket">[</span><span class="log-condition">resisted</span><span class="log-condition-bracket">]</span>',
+	'{{fizzle}}': '<span class="log-miss">FIZZLE</span>',
+	'{{bleeding}}': '<span class="log-condition-bracket">[</span><span class="log-condition">bleeding</span><span class="log-condition-bracket">]</span>',
 	'{{blocked}}': '<span class="log-condition-bracket">(</span><span style="color: #001F3F;">Blocked</span><span class="log-condition-bracket">)</span>',
 	'{{hit}}': '<span class="log-hit">HIT</span>',
 	'{{miss}}': '<span class="log-miss">MISS</span>',
@@ -560,6 +1227,7 @@ export const WRAPPER_TAGS = {
 	'resist': (content) => `<span style="color: #505050;">${content}</span>`,
 	'heavy': (content) => `<span class="log-heavy">${content}</span>`,
 	'spd': (content) => `<span style="color: #1565C0;">${content}</span>`,
+	'mana': (content) => `<span class="log-mana">${content}</span>`,
 };
 
 /**
@@ -571,6 +1239,10 @@ export const WRAPPER_TAGS = {
  *
  * Migration Path: Only AreaManager.instantiateNPCs() needs to change - swap const.js lookup for API fetch.
  * Everything else (Game.js, CharacterFactory, area.json format) stays the same.
+ *
+ * lootTable (optional): extra loot rolled on defeat, on top of equipped gear
+ *   [{ item: ITEMS key, min, max, chance (0-100) }]
+ * leader (optional): faction leader - bolsters allies' morale while fighting, shakes it when defeated
  */
 export const NPC_TEMPLATES = {
 	// Player Character Template
@@ -593,6 +1265,13 @@ export const NPC_TEMPLATES = {
 			offHand: null,
 			armor: 'scale',
 		},
+		secondaryEquipment: { mainHand: 'shortSword', offHand: 'smallShield' },
+		abilities: ['secondWind'],
+		inventory: [
+			{ type: 'item', key: 'healingDraught', count: 1 },
+			{ type: 'item', key: 'bandage', count: 2 },
+			{ type: 'item', key: 'throwingKnife', count: 3 },
+		],
 		facing: 'dir8',
 		faction: 'pc',
 		spriteSet: 'baseKnight',
@@ -619,6 +1298,8 @@ export const NPC_TEMPLATES = {
 			offHand: null,
 			armor: 'leather',
 		},
+		secondaryEquipment: { mainHand: 'shortSpear', offHand: 'smallShield' },
+		abilities: ['secondWind'],
 		faction: 'pc',
 		spriteSet: 'swordKnight',
 		mode: 'aggressive',
@@ -644,6 +1325,13 @@ export const NPC_TEMPLATES = {
 			offHand: 'largeShield',
 			armor: 'chain',
 		},
+		secondaryEquipment: { mainHand: 'shortHammer', offHand: 'largeShield' },
+		abilities: ['warCry'],
+		lootTable: [
+			{ item: 'coins', min: 5, max: 15, chance: 100 },
+			{ item: 'bandage', min: 1, max: 1, chance: 50 },
+		],
+		leader: true,
 		faction: 'guard',
 		spriteSet: 'swordShieldKnight',
 		mode: 'neutral',
@@ -670,6 +1358,10 @@ export const NPC_TEMPLATES = {
 			offHand: null,
 			armor: 'chain',
 		},
+		secondaryEquipment: { mainHand: 'shortSword', offHand: 'smallShield' },
+		lootTable: [
+			{ item: 'coins', min: 2, max: 8, chance: 100 },
+		],
 		faction: 'guard',
 		spriteSet: 'swordKnight',
 		mode: 'neutral',
@@ -695,6 +1387,11 @@ export const NPC_TEMPLATES = {
 			offHand: null,
 			armor: 'brigandine',
 		},
+		abilities: ['secondWind'],
+		lootTable: [
+			{ item: 'coins', min: 3, max: 12, chance: 100 },
+			{ item: 'bandage', min: 1, max: 1, chance: 30 },
+		],
 		faction: 'bandit',
 		spriteSet: 'swordKnight',
 		mode: 'aggressive',
@@ -719,6 +1416,42 @@ export const NPC_TEMPLATES = {
 			offHand: null,
 			armor: 'brigandine',
 		},
+		secondaryEquipment: { mainHand: 'shortHammer', offHand: 'smallShield' },
+		abilities: ['warCry'],
+		lootTable: [
+			{ item: 'coins', min: 10, max: 30, chance: 100 },
+			{ item: 'bandage', min: 1, max: 2, chance: 75 },
+			{ item: 'healingDraught', min: 1, max: 1, chance: 50 },
+		],
+		leader: true,
+		faction: 'bandit',
+		spriteSet: 'swordKnight',
+		mode: 'aggressive',
+	},
+
+	bandit_archer: {
+		name: 'Bandit Archer',
+		stats: {
+			str: 5, int: 5,
+			dex: 9, per: 8,
+			con: 6, will: 5,
+			beauty: 6, cha: 5,
+			instinct: 8, wis: 6
+		},
+		skills: {
+			...createDefaultSkills(),
+			dodge: 3,
+			shortBow: 3,
+		},
+		equipment: {
+			mainHand: 'shortBow',
+			offHand: null,
+			armor: 'leather',
+		},
+		lootTable: [
+			{ item: 'coins', min: 2, max: 10, chance: 100 },
+			{ item: 'throwingKnife', min: 1, max: 3, chance: 40 },
+		],
 		faction: 'bandit',
 		spriteSet: 'swordKnight',
 		mode: 'aggressive',
@@ -772,6 +1505,18 @@ export function isFlanking(attackerHex, defenderHex, defenderFacing, hexGrid) {
 	return attackDirection === behindDirection;
 }
 
+/**
+ * Check if attacker is in defender's front arc (the faced hex and its two neighbors)
+ */
+export function isInFrontArc(attackerHex, defenderHex, defenderFacing, hexGrid) {
+	const attackerPixel = hexGrid.hexToPixel(attackerHex.q, attackerHex.r);
+	const defenderPixel = hexGrid.hexToPixel(defenderHex.q, defenderHex.r);
+	const attackDirection = getFacingFromDelta(attackerPixel.x - defenderPixel.x, attackerPixel.y - defenderPixel.y);
+	return attackDirection === defenderFacing
+		|| attackDirection === rotateFacing(defenderFacing, true)
+		|| attackDirection === rotateFacing(defenderFacing, false);
+}
+
 /**
  * Rotate facing direction clockwise or counter-clockwise
  * Only 6 directions matching hex grid: dir6→dir7→dir1→dir2→dir3→dir5→...
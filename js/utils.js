@@ -7,3 +7,10 @@ export function makeEnemies(a, b) {
     a.enemies.add(b);
     b.enemies.add(a);
 }
+
+/**
+ * Check if either character considers the other an enemy
+ */
+export function areHostile(a, b) {
+    return (a.enemies?.has(b) || b.enemies?.has(a)) || false;
+}